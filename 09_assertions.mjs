@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_assertion-api.html
 import assert from 'assert-strict';
+import { matchErrorKind } from './utils/engine_errors.mjs';
 
 assert.equal(3 + 5, 8);
 
@@ -17,7 +18,7 @@ try {
   assert.equal(x, 8, 'x must be equal to 8')
 } catch (err) {
   console.log('catch');
-  assert.equal(
-    String(err),
-    'AssertionError [ERR_ASSERTION]: x must be equal to 8');
+  // Newer Node.js versions add the comparison ("3 !== 8") after our message
+  const { message } = matchErrorKind(err, 'customAssertionMessage') ?? {};
+  assert.equal(message, 'x must be equal to 8');
 }
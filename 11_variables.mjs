@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_variables-assignment.html
 import assert from 'assert-strict';
+import { assertThrowsKind } from './utils/engine_errors.mjs';
 
 // #### Variables mutables (LET) vs inmutables (CONST)
 
@@ -15,12 +16,9 @@ let i2 = 0;
 // Variables declared via const are immutable. You must always initialize immediately:
 const i3 = 0; // must initialize
 
-assert.throws(
+assertThrowsKind(
   () => { i3 = i3 + 1 },
-  {
-    name: 'TypeError',
-    message: 'Assignment to constant variable.',
-  }
+  'constAssignment'
 );
 
 // Const only means that the binding (the association between variable name and 
@@ -33,12 +31,9 @@ obj.prop = obj.prop + 1;
 assert.equal(obj.prop, 1);
 
 // Not allowed: assigning to `obj`
-assert.throws(
+assertThrowsKind(
   () => { obj = {} },
-  {
-    name: 'TypeError',
-    message: 'Assignment to constant variable.',
-  }
+  'constAssignment'
 );
 
 // You can use const with for-of loops, where a fresh binding is created for each iteration:
@@ -82,14 +77,12 @@ assert.throws(
 );
 
 // You can’t declare the same variable twice at the same level:
-assert.throws(
+assertThrowsKind(
   () => {
     eval('let x = 1; let x = 2;');
   },
-  {
-    name: 'SyntaxError',
-    message: "Identifier 'x' has already been declared",
-  });
+  'duplicateDeclaration',
+  { identifier: 'x' });
 
 // You can, however, nest a block and use the same variable name x that you used outside the block:
 const xx = 1;
@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_undefined-null.html
 import assert from 'assert-strict';
+import * as extendedJson from './utils/extended_json.mjs';
 
 // Many programming languages have one “non-value” called null. JavaScript has two of them: undefined and null.
 
@@ -34,6 +35,11 @@ console.log(/a/.exec('x'));
 
 // The JSON data format does not support undefined, only null:
 console.log(JSON.stringify({a: undefined, b: null}));
+// A tagged encoding on top of JSON can keep it (and NaN, Maps, Sets, ...)
+assert.deepEqual(
+  extendedJson.parse(extendedJson.stringify({a: undefined, b: null})),
+  {a: undefined, b: null}
+);
 
 // ### Checking for undefined or null 
 // Truthy means “is true if coerced to boolean”. Falsy means “is false if coerced to boolean”
@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_numbers.html
 import assert from "assert-strict";
+import { closeTo } from "./utils/assert_extras.mjs";
 
 // JavaScript has two kinds of numeric values:
 // -> Numbers are 64-bit floating point numbers and are also used 
@@ -108,6 +109,8 @@ assert.equal(Number.isFinite(inf), false);
 // ### The precision of numbers: careful with decimal fractions
 // Need to take rounding errors into consideration when performing arithmetic
 console.log(0.1 + 0.2);
+assert.notEqual(0.1 + 0.2, 0.3);
+closeTo(0.1 + 0.2, 0.3); // compare with a tolerance instead
 
 // ### Integer numbers in JavaScript 
 // Integer numbers are normal (floating point) numbers without decimal fractions
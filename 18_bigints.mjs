@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_bigints.html
 import assert from "assert-strict";
+import * as losslessJson from "./utils/lossless_json.mjs";
 
 // Bigint is a new primitive data type for integers. Bigints don’t have a fixed
 // storage size in bits; their sizes adapt to the integers they represent
@@ -93,3 +94,24 @@ assert.deepEqual(
     { value: 9007199254740993n }
 );
 
+// The prefix is our private convention, though: third-party JSON contains bare
+// 64-bit integers, which JSON.parse() silently rounds
+assert.equal(JSON.parse('{"id":9007199254740993}').id, 9007199254740992);
+
+// A lossless parser reads integer literals beyond Number.MAX_SAFE_INTEGER as bigints
+// and its stringify() writes bigints back as bare numeric literals
+const json = '{"id":9007199254740993,"count":3,"price":2.5}';
+assert.deepEqual(
+  losslessJson.parse(json),
+  { id: 9007199254740993n, count: 3, price: 2.5 }
+);
+assert.equal(losslessJson.stringify(losslessJson.parse(json)), json);
+
+// Restricted to some keys or paths, bigint: 'always' gives them a consistent type
+assert.deepEqual(
+  losslessJson.parse('{"users":[{"id":1,"age":30}]}', {
+    bigint: 'always',
+    paths: ['users.*.id'],
+  }),
+  { users: [{ id: 1n, age: 30 }] }
+);
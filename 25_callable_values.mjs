@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_callables.html
 import assert from "assert-strict";
+import { assertThrowsKind } from "./utils/engine_errors.mjs";
 
 // In JavaScript, values that can be invoked are: functions, methods, and classes.
 
@@ -191,9 +192,10 @@ const jill = {
     console.log("inside someMethod > this", this);
     function ordinaryFunc() {
       console.log("inside ordinaryFunc > this", this);
-      assert.throws(
+      assertThrowsKind(
         () => this.name, // (A)
-        /^TypeError: Cannot read property 'name' of undefined$/
+        "propertyOfNullish",
+        { property: "name", value: "undefined" }
       );
     }
     ordinaryFunc();
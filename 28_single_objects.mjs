@@ -1,5 +1,7 @@
 // https://exploringjs.com/impatient-js/ch_single-objects.html
 import assert from "assert-strict";
+import { assertThrowsKind } from "./utils/engine_errors.mjs";
+import { Dict } from "./utils/dict.mjs";
 
 // An object is a set of properties (key-value entries) and a property key can
 // only be a string or a symbol.
@@ -122,12 +124,10 @@ assert.equal(funcJane(), "Jane says “hello”");
 
 // PITFALL: In the following example, we fail when we extract method
 const funcJaneWrong = janeMethod.says; // extract the method
-assert.throws(
+assertThrowsKind(
   () => funcJaneWrong("hello"), // (A)
-  {
-    name: "TypeError",
-    message: "Cannot read property 'first' of undefined",
-  }
+  "propertyOfNullish",
+  { property: "first", value: "undefined" }
 );
 // in normal function calls (A) this is undefined and funcJaneWrong("hello")
 // is equal to janeMethod.says.call(undefined, 'hello'), can be solved by:
@@ -332,6 +332,16 @@ assert.deepEqual(Object.keys(dict), []);
 // -> If you can’t, use a library for objects-as-dictionaries that does everything safely.
 // -> If you can’t, use an object without a prototype.
 
+// utils/dict.mjs is such a library: its keys are just data, even the special ones
+const safeDict = new Dict();
+assert.equal(safeDict.has("toString"), false);
+safeDict.set("__proto__", 123);
+assert.equal(safeDict.get("__proto__"), 123);
+// It survives a JSON round trip, and readOnly() hands out a view without setters
+const restoredDict = Dict.fromJSON(JSON.stringify(safeDict));
+assert.deepEqual([...restoredDict], [["__proto__", 123]]);
+assert.equal(Object.isFrozen(restoredDict.readOnly()), true);
+
 // ### Standard methods
 // .toString() determines how objects are converted to strings
 console.log(
@@ -360,12 +370,10 @@ assert.equal(result, target); // target was modified and returned
 
 // Object.freeze(obj) makes obj completely immutable (only properties not objects)
 const frozen = Object.freeze({ x: 2, y: 5 });
-assert.throws(
+assertThrowsKind(
   () => {
     frozen.x = 7;
   },
-  {
-    name: "TypeError",
-    message: /^Cannot assign to read only property 'x'/,
-  }
+  "readOnlyAssignment",
+  { property: "x" }
 );
@@ -1,5 +1,7 @@
 // https://exploringjs.com/impatient-js/ch_maps.html
 import assert from "assert-strict";
+import * as extendedJson from "./utils/extended_json.mjs";
+import * as mapTools from "./utils/map_tools.mjs";
 
 // Map 'maps' keys to values. A single key-value mapping is called an entry.
 
@@ -93,6 +95,43 @@ mapAdvanced.set(KEY2, "world");
 assert.equal(mapAdvanced.get(KEY1), "hello");
 assert.equal(mapAdvanced.get(KEY2), "world");
 
+// JSON.stringify() turns a Map into {}. A tagged encoding keeps the entries, and
+// an object used as a key in two Maps is still one object after decoding
+const [copy1, copy2] = extendedJson.parse(
+  extendedJson.stringify([mapAdvanced, new Map([[KEY1, "again"]])])
+);
+const [copiedKey1] = copy1.keys();
+assert.equal(copy1.get(copiedKey1), "hello");
+assert.equal(copy2.get(copiedKey1), "again");
+
+// Cycles survive too: an object that refers to itself, directly and through a
+// Map it contains, still does so after the round trip
+const cyclic = { name: "root", children: new Map() };
+cyclic.self = cyclic;
+cyclic.children.set("parent", cyclic);
+const result = extendedJson.parse(extendedJson.stringify(cyclic));
+assert.equal(result.self, result);
+assert.equal(result.children.get("parent"), result);
+
+// Other classes can be registered with a codec of their own. A shared instance
+// is still shared after decoding
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+const codec = extendedJson.createCodec().register("Point", {
+  test: (value) => value instanceof Point,
+  encode: ({ x, y }) => [x, y],
+  decode: ([x, y]) => new Point(x, y),
+});
+const origin = new Point(0, 0);
+const route = codec.parse(codec.stringify(new Map([["start", origin], ["end", origin]])));
+assert.equal(route.get("start") instanceof Point, true);
+assert.deepEqual(route.get("start"), new Point(0, 0));
+assert.equal(route.get("end"), route.get("start"));
+
 // ### What keys are considered equal?
 // A close to === operation is used to check whether a value is equal to one
 // of the keys, except for NaN value
@@ -154,6 +193,49 @@ assert.deepEqual(
   ]
 );
 
+// utils/map_tools.mjs has these operations without the round trip through an Array
+assert.deepEqual(
+  mapTools.mapEntries(originalMap, ([k, v]) => [k * 2, "_" + v]),
+  mappedMap
+);
+assert.deepEqual(
+  mapTools.filter(originalMap, (v, k) => k < 3),
+  filteredMap
+);
+// merge() can decide what happens to keys that are in both Maps
+assert.deepEqual(
+  [...mapTools.merge(map1, map2, (key, v1, v2) => v1 + "+" + v2)],
+  [
+    [1, "1a"],
+    [2, "1b+2b"],
+    [3, "1c+2c"],
+    [4, "2d"],
+  ]
+);
+// The lazy variants go through the entries one at a time
+const firstBig = mapTools.lazy.filter(map2.entries(), (v, k) => k > 2).next().value;
+assert.deepEqual(firstBig, [3, "2c"]);
+
+// groupBy() and partition() split a Map into smaller Maps
+assert.deepEqual(
+  mapTools.groupBy(map1, (v, k) => (k % 2 === 0 ? "even" : "odd")),
+  new Map([
+    ["odd", new Map([[1, "1a"], [3, "1c"]])],
+    ["even", new Map([[2, "1b"]])],
+  ])
+);
+assert.deepEqual(
+  mapTools.partition(map2, (v, k) => k > 2),
+  [new Map([[3, "2c"], [4, "2d"]]), new Map([[2, "2b"]])]
+);
+// invert() swaps keys and values, and refuses when two keys share a value
+assert.deepEqual(mapTools.invert(map1), new Map([["1a", 1], ["1b", 2], ["1c", 3]]));
+assert.throws(() => mapTools.invert(new Map([[1, "x"], [2, "x"]])), TypeError);
+// toObject() and fromObject() convert between Maps with string keys and objects
+assert.deepEqual(mapTools.toObject(new Map([["a", 1], ["b", 2]])), { a: 1, b: 2 });
+assert.deepEqual(mapTools.fromObject({ a: 1, b: 2 }), new Map([["a", 1], ["b", 2]]));
+assert.throws(() => mapTools.toObject(map1), TypeError); // number keys
+
 // ### When should I use a Map, and when should I use an object?
 // MAP -> A dictionary-like data structure with keys that are neither strings nor symbols
 // OBJECT -> keys are either strings or symbols but they are know before excution
@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_sets.html
 import assert from "assert-strict";
+import * as sets from "./utils/set_algebra.mjs";
 // Before ES6, JavaScript didn’t have a data structure for sets. Instead,
 // arrays or keys of objects were used (slower).
 
@@ -65,6 +66,24 @@ assert.deepEqual([...intersection], [2, 3]);
 const difference = new Set([...a].filter((x) => !b.has(x)));
 assert.deepEqual([...difference], [1]);
 
+// utils/set_algebra.mjs has these operations for any number of iterables
+const c = [3, NaN, 5];
+assert.deepEqual([...sets.union(a, b, c)], [1, 2, 3, 4, NaN, 5]);
+assert.deepEqual([...sets.intersection(a, b, c)], [3]);
+assert.deepEqual([...sets.difference(a, b, c)], [1]);
+assert.deepEqual([...sets.symmetricDifference(a, b)], [1, 4]);
+assert.equal(sets.isSubsetOf(intersection, a), true);
+assert.equal(sets.isDisjointFrom(difference, b), true);
+// With no inputs, union() is empty but there is nothing to intersect
+assert.equal(sets.union().size, 0);
+assert.throws(() => sets.intersection(), TypeError);
+// NaN is found like in a Set
+assert.equal(sets.intersection([NaN], c).has(NaN), true);
+// The lazy forms stop as soon as we do
+const [firstPair] = sets.lazy.product(a, b);
+assert.deepEqual(firstPair, [1, 4]);
+assert.equal(sets.powerSet(a).size, 8);
+
 // Map
 const notMappedset = new Set([1, 2, 3]);
 const mappedSet = new Set([...notMappedset].map(x => x * 2));
@@ -1,5 +1,6 @@
 // https://exploringjs.com/impatient-js/ch_sync-generators.html
 import assert from "assert-strict";
+import * as lazyIter from "./utils/lazy_iter.mjs";
 
 // Synchronous generators are special versions of function definitions and
 // method definitions that always return synchronous iterables. Asterisks (*)
@@ -77,6 +78,55 @@ console.log(fibonacciGenerator.next());
 console.log(fibonacciGenerator.next());
 console.log(fibonacciGenerator.next());
 
+// Spreading an infinite generator into an Array never ends. A lazy pipeline only
+// pulls the elements it needs and then closes the generator
+assert.deepEqual(
+  lazyIter.iter(fibonacciGeneratorFunction())
+    .filter((x) => x % 2 === 0)
+    .take(4)
+    .toArray(),
+  [0, 2, 8, 34]
+);
+assert.deepEqual(
+  lazyIter.iter("generator").enumerate().take(3).toArray(),
+  [[0, "g"], [1, "e"], [2, "n"]]
+);
+
+// Stopping early closes the source: its return() method runs the generator's
+// `finally`, whether take() or the shorter input of zip() ends the pipeline
+let naturalsClosed = 0;
+function* naturals() {
+  try {
+    for (let n = 1; ; n++) yield n;
+  } finally {
+    naturalsClosed++;
+  }
+}
+assert.deepEqual(lazyIter.iter(naturals()).take(2).toArray(), [1, 2]);
+assert.equal(naturalsClosed, 1);
+assert.deepEqual(lazyIter.iter(naturals()).zip(["a", "b"]).toArray(), [[1, "a"], [2, "b"]]);
+assert.equal(naturalsClosed, 2);
+
+// The other operations work on any iterable, e.g. Sets and Maps
+assert.deepEqual(
+  lazyIter.iter(new Set([1, 2, 3, 4, 5])).chunk(2).toArray(),
+  [[1, 2], [3, 4], [5]]
+);
+assert.deepEqual(
+  lazyIter.iter(new Map([["a", 1], ["b", 2], ["c", 3]])).window(2).toArray(),
+  [[["a", 1], ["b", 2]], [["b", 2], ["c", 3]]]
+);
+assert.deepEqual(
+  lazyIter.iter(naturals()).drop(2).takeWhile((n) => n < 6).toArray(),
+  [3, 4, 5]
+);
+assert.deepEqual(
+  lazyIter.iter(["ab", "c"]).flatMap((word) => word).toArray(),
+  ["a", "b", "c"]
+);
+assert.equal(lazyIter.iter(naturals()).take(4).reduce((sum, n) => sum + n), 10);
+assert.throws(() => lazyIter.iter([]).reduce((sum, n) => sum + n), TypeError);
+
 // ### external iteration vs. internal iteration
 // External iteration (pull) --> asks the object for the values via an iteration protocol
 for (const x of ["a", "b"]) {
@@ -1,5 +1,9 @@
 // https://exploringjs.com/impatient-js/ch_async-js.html
 import assert from "assert-strict";
+import { stackFrames } from "./utils/stack_trace.mjs";
+import { createEventLoopTracer } from "./utils/event_loop_tracer.mjs";
+import { divideSync, divideCallback, dividePromise } from "./utils/divide.mjs";
+import { promisify, callbackify } from "./utils/callback_adapters.mjs";
 
 // Normal functions are synchronous: the caller waits until the callee is finished
 // By default, JavaScript tasks are functions that are executed sequentially
@@ -11,7 +15,7 @@ import assert from "assert-strict";
 // -> A standard pattern that makes working with callbacks easier.
 // -> The mechanism on which async functions are built.
 
-function main() {
+async function main() {
   try {
     const result = divideSync(12, 3); // synchronous function call
     assert.equal(result, 4);
@@ -36,12 +40,36 @@ function main() {
   // Async functions is as better syntax for Promise-based code
   // 'await' can only be used inside a special kind of function
   try {
-    // const result = await dividePromise(12, 3);
+    const result = await dividePromise(12, 3);
     assert.equal(result, 4);
   } catch (err) {
     assert.fail(err);
   }
+
+  // All three styles report a division by zero with the same error:
+  // thrown, passed to the callback or as the rejection
+  assert.throws(() => divideSync(12, 0), RangeError);
+  divideCallback(12, 0, (err) => assert.equal(err instanceof RangeError, true));
+  await assert.rejects(dividePromise(12, 0), RangeError);
+
+  // promisify() and callbackify() convert between the two asynchronous styles
+  assert.equal(await promisify(divideCallback)(12, 3), 4);
+  callbackify(dividePromise)(12, 3, (err, result) => assert.equal(result, 4));
+
+  // A callback can get several results: multiArgs keeps all of them. Methods
+  // still get their `this` after promisify()
+  const divider = {
+    divisor: 5,
+    divmod(x, callback) {
+      queueMicrotask(() => callback(null, Math.trunc(x / this.divisor), x % this.divisor));
+    },
+  };
+  divider.divmodAsync = promisify(divider.divmod, { multiArgs: true });
+  assert.deepEqual(await divider.divmodAsync(17), [3, 2]);
+  const divmodNamed = promisify(divider.divmod, { multiArgs: ["quotient", "remainder"] });
+  assert.deepEqual(await divmodNamed.call(divider, 17), { quotient: 3, remainder: 2 });
 }
+main();
 
 // ### The call stack
 // Whenever a function calls another function, we need to remember where to
@@ -49,6 +77,18 @@ function main() {
 function h(z) {
   const error = new Error();
   console.log(error.stack);
+  // The top of the call stack: h() was called by g(), which was called by f()
+  const frames = stackFrames(error.stack, {
+    root: new URL(".", import.meta.url),
+  });
+  assert.deepEqual(
+    frames.slice(0, 3).map((frame) => [frame.function, frame.file]),
+    [
+      ["h", "39_asynchronous_programming.mjs"],
+      ["g", "39_asynchronous_programming.mjs"],
+      ["f", "39_asynchronous_programming.mjs"],
+    ]
+  );
 }
 function g(y) {
   h(y + 1);
@@ -73,9 +113,16 @@ f(3);
 // -> The operation can deliver its result asynchronously (events, callbacks, promises)
 // -> Perform long computations in separate processes (webworkers)
 // -> Take breaks during long computations with setTimeout
-console.log("start");
+const trace = createEventLoopTracer(); // prints and records the queue of each step
+trace.log("start");
 setTimeout(() => {          // puts its parameter into the task queue
-  console.log("callback");  // this will be executed later
+  trace.log("callback");    // this will be executed later
+  trace.assertOrder([
+    ["sync", "start"],
+    ["sync", "end"],
+    ["timer", "callback"],
+  ]);
+  trace.stop(); // nothing left to trace: stop watching every async resource
 }, 0);
-console.log("end");
+trace.log("end");
 
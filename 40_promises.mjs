@@ -1,5 +1,12 @@
 // https://exploringjs.com/impatient-js/ch_promises.html
 import assert from "assert-strict";
+import { createEventLoopTracer } from "./utils/event_loop_tracer.mjs";
+import { rejectsWith } from "./utils/assert_extras.mjs";
+import { createPool, keyed } from "./utils/promise_pool.mjs";
+import * as cancellation from "./utils/cancellation.mjs";
+import { retry } from "./utils/retry.mjs";
+import { createDeadline, sleep, withTimeout, TimeoutError } from "./utils/timers.mjs";
+import { Deferred, watch } from "./utils/deferred.mjs";
 
 // Promises are a pattern for delivering results asynchronously similar to
 // the event pattern. There is an object (a Promise), where we register callbacks
@@ -63,6 +70,26 @@ Promise.reject(myError).catch((err) => {
   assert.equal(err, myError);
 });
 
+// The state of a Promise can't be read, and resolve/reject are only available
+// inside the executor. A Deferred (utils/deferred.mjs) exposes both
+const deferred = new Deferred();
+assert.equal(deferred.state, "pending");
+deferred.resolve("first");
+assert.equal(deferred.state, "fulfilled");
+// Once settled, the state and the settlement value can't change anymore
+deferred.reject(myError);
+assert.equal(deferred.state, "fulfilled");
+assert.equal(deferred.value, "first");
+
+// watch() observes any Promise. It sees a settlement one microtask later,
+// when its .then() callbacks run
+const watched = watch(Promise.resolve(3));
+assert.equal(watched.state, "pending");
+watched.promise.then(() => {
+  assert.equal(watched.state, "fulfilled");
+  assert.equal(watched.value, 3);
+});
+
 // ### Returning and throwing in .then() callbacks
 // .then() handles Promise fulfillments. It also returns a fresh Promise or
 // can throw an exception.
@@ -103,6 +130,28 @@ Promise.reject(myError)
     assert.equal(str, "default value");
   });
 
+// The opposite of giving up with a default value: trying again. retry() from
+// utils/retry.mjs calls the function again after a growing delay, but only for
+// errors that are worth it (here: instances of TransientError)
+class TransientError extends Error {}
+let connectionAttempts = 0;
+retry(
+  async () => {
+    connectionAttempts++;
+    if (connectionAttempts < 3) throw new TransientError("Connection reset");
+    return "connected";
+  },
+  { retryable: TransientError, delay: 10 }
+).then((result) => {
+  assert.equal(result, "connected");
+  assert.equal(connectionAttempts, 3);
+});
+// When every attempt fails, the AggregateError has all the errors
+rejectsWith(
+  retry(() => Promise.reject(new TransientError("Still down")), { attempts: 2, delay: 10 }),
+  { name: "AggregateError", errors: [TransientError, TransientError] }
+);
+
 // The .finally() callback is always executed – independently of somePromise
 // and the values returned by .then() and/or .catch().
 
@@ -126,21 +175,35 @@ Promise.reject("error")
 //   ->  The semicolon executes two synchronous operations sequentially.
 
 // ### Promise-based functions start synchronously, settle asynchronously
+// The tracer prints each step and remembers which queue it ran from
+const trace = createEventLoopTracer();
+
 function asyncFunc() {
-  console.log("asyncFunc");
+  trace.log("asyncFunc");
   return new Promise((resolveFunctionThen) => {
-    console.log("new Promise()");
+    trace.log("new Promise()");
     resolveFunctionThen();
   });
 }
 
 const functionThen = () => {
-  console.log(".then()");
+  trace.log(".then()");
 };
 
-console.log("START");
-asyncFunc().then(functionThen);
-console.log("END");
+trace.log("START");
+asyncFunc()
+  .then(functionThen)
+  .then(() => {
+    trace.assertOrder([
+      ["sync", "START"],
+      ["sync", "asyncFunc"],
+      ["sync", "new Promise()"], // the executor runs synchronously
+      ["sync", "END"],
+      ["microtask", ".then()"], // settlement is always asynchronous
+    ]);
+    trace.stop();
+  });
+trace.log("END");
 
 // ### Promise combinator functions: working with Arrays of Promises
 // The combinator pattern is a pattern in functional programming for
@@ -186,6 +249,42 @@ Promise.race(promisesRaceWinRejected).then(
   (err) => assert.equal(err, "ERROR")
 );
 
+// The timer of the losing Promise keeps running after the race is decided.
+// With utils/cancellation.mjs each contestant gets an AbortSignal, and the
+// losers are aborted (here: their timers are cleared) as soon as one settles
+cancellation
+  .race([
+    (signal) => cancellation.delay(100, "fast", { signal }),
+    (signal) => cancellation.delay(200, "slow", { signal }),
+  ])
+  .then((result) => assert.equal(result, "fast"));
+
+// A race against a timer is how a timeout is built. utils/timers.mjs has it
+// ready-made: withTimeout() rejects with a TimeoutError if the work is too slow.
+// Given a function, it passes it an AbortSignal, so the slow sleep() is
+// cancelled (its timer cleared) instead of running on
+let slowSleep;
+withTimeout((signal) => (slowSleep = sleep(200, { signal })), 100).then(
+  () => assert.fail(),
+  (err) => {
+    assert.equal(err instanceof TimeoutError, true);
+    // The sleep was aborted with that same error
+    return slowSleep.catch((reason) => assert.equal(reason, err));
+  }
+);
+
+// createDeadline() gives several steps one time limit to share: the first step
+// uses 60 of the 100 ms, so the second one (another 60 ms) runs out of time
+const deadline = createDeadline(100);
+deadline
+  .run((signal) => sleep(60, { signal }))
+  .then(() => deadline.run((signal) => sleep(60, { signal })))
+  .then(
+    () => assert.fail(),
+    (err) => assert.equal(err instanceof TimeoutError, true)
+  )
+  .finally(() => deadline.clear());
+
 // Promise.any() returns a Promise p. How it is settled, depends on the parameter promises
 // -> If and when the first Promise is fulfilled, p is resolved with that Promise.
 // -> If all Promises are rejected, p is rejected with an instance of AggregateError
@@ -206,6 +305,11 @@ const promisesKO = [
 Promise.any(promisesKO).catch((aggregateError) =>
   assert.deepEqual(aggregateError.errors, ["ERROR A", "ERROR B", "ERROR C"])
 );
+// The same check with rejectsWith(), which fails if Promise.any() fulfills
+rejectsWith(Promise.any(promisesKO), {
+  name: "AggregateError",
+  errors: ["ERROR A", "ERROR B", "ERROR C"],
+});
 
 // Promise.allSettled() returns a Promise out. Once all promises are settled,
 // out is fulfilled with an Array. Each element e of that Array corresponds to
@@ -219,3 +323,46 @@ Promise.allSettled(promisesAllSettled).then((arr) =>
     { status: "rejected", reason: "b" },
   ])
 );
+
+// All these combinators take Promises, so the work has already started. A pool
+// from utils/promise_pool.mjs takes functions instead and runs at most N of them
+// at a time; the results are still in the order of the input
+let runningJobs = 0;
+let maxRunningJobs = 0;
+function delayedAddJob(x, y, ms) {
+  return async () => {
+    runningJobs++;
+    maxRunningJobs = Math.max(maxRunningJobs, runningJobs);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    runningJobs--;
+    return x + y;
+  };
+}
+const pool = createPool({ concurrency: 2 });
+pool
+  .all([delayedAddJob(1, 1, 30), delayedAddJob(2, 2, 10), delayedAddJob(3, 3, 20)])
+  .then((sums) => {
+    assert.deepEqual(sums, [2, 4, 6]);
+    assert.equal(maxRunningJobs, 2);
+  });
+
+// Waiting tasks with a higher priority start first (same priority: in the order
+// they were added), and onIdle() fulfills once the pool has nothing left to do
+const serialPool = createPool({ concurrency: 1 });
+const startOrder = [];
+const recordStart = (name) => () => {
+  startOrder.push(name);
+};
+serialPool.add(recordStart("first"));
+serialPool.add(recordStart("urgent"), { priority: 1 });
+serialPool.add(recordStart("second"));
+serialPool.onIdle().then(() => assert.deepEqual(startOrder, ["urgent", "first", "second"]));
+
+// Keyed versions accept an object (or a Map) and keep the keys
+keyed
+  .all({ sum: Promise.resolve(7), product: Promise.resolve(12) })
+  .then((results) => assert.deepEqual(results, { sum: 7, product: 12 }));
+rejectsWith(keyed.any({ primary: Promise.reject("down"), backup: Promise.reject("down") }), {
+  name: "AggregateError",
+  keys: ["primary", "backup"],
+});
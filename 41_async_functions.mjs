@@ -1,5 +1,7 @@
 // https://exploringjs.com/impatient-js/ch_async-functions.html
 import assert from "assert-strict";
+import { createEventLoopTracer } from "./utils/event_loop_tracer.mjs";
+import { eventually, rejectsWith, resolvesTo } from "./utils/assert_extras.mjs";
 
 // async functions provide better syntax for code that uses Promises
 // -> Async functions are marked with the keyword async.
@@ -37,15 +39,22 @@ asyncFuncRejected().catch((err) => {
 });
 
 // ### synchronous start, asynchronous settlement
+const trace = createEventLoopTracer(); // prints and records the queue of each step
 async function asyncFunc() {
-  console.log("asyncFunc() starts"); // function is started synchronously
+  trace.log("asyncFunc() starts"); // function is started synchronously
   return "abc";
 }
 asyncFunc().then((x) => {
   // the result Promise is settled – asynchronously
-  console.log(`Resolved: ${x}`);
+  trace.log(`Resolved: ${x}`);
+  trace.assertOrder([
+    ["sync", "asyncFunc() starts"],
+    ["sync", "Task ends"],
+    ["microtask", "Resolved: abc"],
+  ]);
+  trace.stop();
 });
-console.log("Task ends"); // the current task finishes
+trace.log("Task ends"); // the current task finishes
 
 // ### await: working with Promises
 // The await operator can only be used inside async functions and async generators
@@ -67,3 +76,14 @@ try {
 } catch (e) {
   assert.equal(e instanceof Error, true);
 }
+// The same checks with resolvesTo() and rejectsWith()
+await resolvesTo(Promise.resolve("yes!"), "yes!");
+await rejectsWith(Promise.reject(new Error()), Error);
+
+// eventually() awaits a condition that only becomes true later: it retries the
+// check until it stops throwing (here until the timer has run)
+let ready = false;
+setTimeout(() => {
+  ready = true;
+}, 50);
+await eventually(() => assert.equal(ready, true));
@@ -1,5 +1,10 @@
 // https://exploringjs.com/impatient-js/ch_async-iteration.html
 import assert from "assert-strict";
+import { captureConsole, logsInOrder } from "./utils/assert_extras.mjs";
+import * as asyncIter from "./utils/async_iter.mjs";
+import * as cancellation from "./utils/cancellation.mjs";
+import { createFakeClock } from "./utils/fake_clock.mjs";
+import { interval } from "./utils/timers.mjs";
 
 // -> An Iterable is a data structure whose contents can be accessed via iteration.
 //     It is a factory for iterators.
@@ -30,9 +35,12 @@ async function f() {
 f();
 
 // for-await-of loop to iterate
+const output = captureConsole();
 for await (const x of syncToAsyncIterable(["a", "b"])) {
   console.log(x);
 }
+output.restore();
+logsInOrder(output.lines, ["a", "b"]);
 
 // also supports synchronous iterables:
 for await (const x of ["a", "b"]) {
@@ -75,4 +83,138 @@ async function* yield123() {
   assert.deepEqual(
     await asyncIterator.next(),
     { value: undefined, done: true });
-})();
\ No newline at end of file
+})();
+
+// utils/async_iter.mjs combines async iterables. merge() yields the values in
+// the order they arrive, whichever generator produces them
+async function* delayed(ms, values) {
+  for (const value of values) {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    yield value;
+  }
+}
+assert.deepEqual(
+  await asyncIter.toArray(
+    asyncIter.merge(delayed(30, ["slow"]), delayed(10, ["fast1", "fast2"]))
+  ),
+  ["fast1", "fast2", "slow"]
+);
+
+// mapConcurrent() runs the callback for two values at a time, but keeps the
+// order of the source
+assert.deepEqual(
+  await asyncIter.toArray(
+    asyncIter.mapConcurrent(yield123(), async (x) => x * 2, { concurrency: 2 })
+  ),
+  [2, 4, 6]
+);
+
+// concat() keeps the sources apart: all values of the first, then the next one,
+// however fast that one is. zip() pairs them up and stops with the shortest.
+assert.deepEqual(
+  await asyncIter.toArray(asyncIter.concat(delayed(30, ["slow"]), delayed(10, ["fast"]))),
+  ["slow", "fast"]
+);
+assert.deepEqual(
+  await asyncIter.toArray(asyncIter.zip(yield123(), ["a", "b"])),
+  [[1, "a"], [2, "b"]]
+);
+
+// Any async iterable will do, also a hand-written one whose iterator is just an
+// object with a next() method
+const countdown = {
+  [Symbol.asyncIterator]() {
+    let n = 3;
+    return {
+      next: async () => (n > 0 ? { value: n--, done: false } : { value: undefined, done: true }),
+    };
+  },
+};
+assert.deepEqual(
+  await asyncIter.toArray(asyncIter.concat(countdown, ["liftoff"])),
+  [3, 2, 1, "liftoff"]
+);
+// All three values arrive at once, so throttle() lets only the first through
+assert.deepEqual(await asyncIter.toArray(asyncIter.throttle(countdown, 50)), [3]);
+
+// buffer() reads ahead: while the loop body is busy with one value, the
+// source has already produced the next two
+const produced = [];
+async function* produce() {
+  for (let i = 0; i < 5; i++) {
+    produced.push(i);
+    yield i;
+  }
+}
+const buffered = asyncIter.buffer(produce(), 2);
+assert.deepEqual(await buffered.next(), { value: 0, done: false });
+await new Promise((resolve) => setTimeout(resolve, 10));
+assert.deepEqual(produced, [0, 1, 2]);
+assert.deepEqual(await asyncIter.toArray(buffered), [1, 2, 3, 4]);
+
+// Leaving a for-await-of loop early also stops the generators upstream
+let endlessClosed = false;
+async function* endless() {
+  try {
+    for (let i = 0; ; i++) yield i;
+  } finally {
+    endlessClosed = true;
+  }
+}
+for await (const pair of asyncIter.batch(endless(), { size: 2 })) {
+  assert.deepEqual(pair, [0, 1]);
+  break;
+}
+assert.equal(endlessClosed, true);
+
+// A generator can also be stopped from the outside with an AbortSignal: the
+// loop then ends with an AbortError and the generator is closed
+async function* ticks() {
+  for (let i = 0; ; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    yield i;
+  }
+}
+const ticksController = new AbortController();
+const seenTicks = [];
+try {
+  for await (const tick of cancellation.abortableIterable(ticks(), ticksController.signal)) {
+    seenTicks.push(tick);
+    if (tick === 2) ticksController.abort();
+  }
+  assert.fail("The loop should have been aborted");
+} catch (err) {
+  assert.equal(cancellation.isAbortError(err), true);
+}
+assert.deepEqual(seenTicks, [0, 1, 2]);
+
+// interval() from utils/timers.mjs is an async iterable of ticks, ready for
+// for-await-of (with --fake-timers no real time passes)
+const tickTimes = [];
+const firstTickTime = Date.now();
+for await (const tick of interval(50)) {
+  tickTimes.push(Date.now() - firstTickTime);
+  if (tick === 2) break;
+}
+assert.equal(tickTimes.length, 3);
+assert.equal(tickTimes[0] < tickTimes[1] && tickTimes[1] < tickTimes[2], true);
+
+// debounce() and throttle() drop values depending on when they arrive, so they
+// run on a fake clock: the timers fire in order, but nobody waits for them
+const clock = createFakeClock().install().setAutoAdvance(true);
+// Values at the given times (ms): a burst of three, then two more
+async function* burst() {
+  const start = Date.now();
+  for (const [time, value] of [[0, "a"], [10, "b"], [20, "c"], [100, "d"], [110, "e"]]) {
+    await new Promise((resolve) => setTimeout(resolve, time - (Date.now() - start)));
+    yield value;
+  }
+}
+try {
+  // The last value before each pause of 50 ms (and the last one of all)
+  assert.deepEqual(await asyncIter.toArray(asyncIter.debounce(burst(), 50)), ["c", "e"]);
+  // The first value, then the first one after 50 ms have passed
+  assert.deepEqual(await asyncIter.toArray(asyncIter.throttle(burst(), 50)), ["a", "d"]);
+} finally {
+  clock.uninstall();
+}
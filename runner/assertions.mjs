@@ -0,0 +1,82 @@
+// Assertion accounting: which assert-strict calls a chapter contains (found in
+// its source) and which of them actually ran (recorded by instrument.mjs).
+
+const ASSERT_CALL = /\bassert\s*\.\s*([A-Za-z]+)\s*\(/dg;
+
+// assert.fail() usually guards a branch that must not run, e.g. after code
+// that is expected to throw, so it never running is no finding
+const EXPECTED_UNREACHED = new Set(["fail"]);
+
+// The source with comments and the contents of string literals blanked out
+// (line breaks are kept, so line numbers stay the same). Regular expression
+// literals are not recognised, which is good enough for finding calls.
+export function blankCommentsAndStrings(source) {
+  let out = "";
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    let end;
+    if (char === "/" && next === "/") {
+      end = source.indexOf("\n", i);
+      if (end === -1) end = source.length;
+    } else if (char === "/" && next === "*") {
+      end = source.indexOf("*/", i + 2);
+      end = end === -1 ? source.length : end + 2;
+    } else if (char === '"' || char === "'" || char === "`") {
+      end = i + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === "\\") end++;
+        // Only template literals can span lines
+        if (source[end] === "\n" && char !== "`") break;
+        end++;
+      }
+      end = Math.min(end + 1, source.length);
+    } else {
+      out += char;
+      i++;
+      continue;
+    }
+    out += source.slice(i, end).replace(/[^\n]/g, " ");
+    i = end;
+  }
+  return out;
+}
+
+// [{ line, column, method }] for every assert.«method»(...) call in the
+// source. Like a stack frame, the position is that of the method name.
+export function findAssertionCalls(source) {
+  const code = blankCommentsAndStrings(source);
+  const calls = [];
+  for (const match of code.matchAll(ASSERT_CALL)) {
+    const start = match.indices[1][0];
+    const before = code.slice(0, start);
+    const line = before.split("\n").length;
+    const column = start - before.lastIndexOf("\n");
+    calls.push({ line, column, method: match[1] });
+  }
+  return calls;
+}
+
+function positionKey({ line, column }) {
+  return `${line}:${column}`;
+}
+
+// Combines the calls found in the source with the call sites recorded while
+// running ([{ line, column, method, calls, passed, failed, skipped }]) into
+// { total, passed, failed, skipped, callSites, unreached }, where `unreached`
+// lists the assertions in the source that never ran (apart from assert.fail()).
+export function summarizeAssertions(sourceCalls, callSites = []) {
+  const ran = new Set(callSites.map(positionKey));
+  const sum = (key) => callSites.reduce((total, site) => total + site[key], 0);
+  return {
+    total: sum("calls") - sum("skipped"),
+    passed: sum("passed"),
+    failed: sum("failed"),
+    skipped: sum("skipped"),
+    callSites,
+    unreached: sourceCalls.filter(
+      (call) => !EXPECTED_UNREACHED.has(call.method) && !ran.has(positionKey(call))
+    ),
+  };
+}
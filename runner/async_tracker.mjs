@@ -0,0 +1,60 @@
+// Keeps count of the promises and timers created while a chapter runs, so the
+// host can tell what is still pending when it decides whether the chapter settled.
+//
+// A promise created by .then()/.catch()/await on another promise has that one
+// as its parent. While such a promise is pending, a callback is still waiting
+// for its parent to settle; once the event loop is idle, nothing ever will.
+// Promises without a parent aren't work on their own: V8 itself leaves one
+// pending for every module with a top-level await.
+import { createHook } from "async_hooks";
+import { promiseHooks } from "v8";
+
+const TIMER_TYPES = new Set(["Timeout", "Immediate"]);
+
+export function createAsyncTracker() {
+  const promises = new Set();
+  const waiting = new Set(); // the pending promises that have a parent
+  const timers = new Map(); // asyncId -> resource type
+
+  const timerHook = createHook({
+    init(asyncId, type) {
+      if (TIMER_TYPES.has(type)) timers.set(asyncId, type);
+    },
+    destroy(asyncId) {
+      timers.delete(asyncId);
+    },
+  });
+  let stopPromiseHook;
+
+  return {
+    enable() {
+      timerHook.enable();
+      stopPromiseHook = promiseHooks.createHook({
+        init(promise, parent) {
+          promises.add(promise);
+          if (parent !== undefined) waiting.add(promise);
+        },
+        settled(promise) {
+          promises.delete(promise);
+          waiting.delete(promise);
+        },
+      });
+    },
+    disable() {
+      timerHook.disable();
+      stopPromiseHook?.();
+    },
+    // { promises, timers, waiting } still pending right now, `waiting` being
+    // the callbacks that wait for a promise
+    pending() {
+      return { promises: promises.size, timers: timers.size, waiting: waiting.size };
+    },
+  };
+}
+
+export function describePending({ promises, timers }) {
+  const parts = [];
+  if (timers > 0) parts.push(`${timers} timer${timers === 1 ? "" : "s"}`);
+  if (promises > 0) parts.push(`${promises} promise${promises === 1 ? "" : "s"}`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
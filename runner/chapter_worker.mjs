@@ -0,0 +1,121 @@
+// Worker thread that runs a single chapter, started by host.mjs with
+// workerData { chapterFile, settle, fakeTimers, only }.
+//
+// With `settle` (ms) the chapter is only considered done once the event loop
+// is idle, i.e. every timer has fired and every callback it scheduled has run.
+// Errors thrown from callbacks and unhandled rejections fail the chapter. If
+// the loop is still busy after `settle` milliseconds it fails as unsettled, and
+// so does a chapter that goes idle while work is left that can never finish: a
+// top-level await that never got its value, or callbacks still waiting for
+// promises nothing will settle.
+//
+// With `fakeTimers` the chapter's setTimeout()/setInterval()/Date.now() run on
+// a virtual clock that jumps to the next timer as soon as nothing else is left
+// to do, so timer-driven examples finish instantly and in a reproducible order.
+//
+// Assertions and console output are always counted per call site and per
+// "// ###" section of the chapter (instrument.mjs); with `only` the checks of
+// every other section are skipped and their output hidden.
+import { readFileSync } from "fs";
+import { pathToFileURL } from "url";
+import { parentPort, workerData } from "worker_threads";
+import { serializeError } from "./errors.mjs";
+import { createAsyncTracker, describePending } from "./async_tracker.mjs";
+import { createFakeClock } from "../utils/fake_clock.mjs";
+import { instrumentChapter } from "./instrument.mjs";
+import { parseSections } from "./sections.mjs";
+
+const { chapterFile, settle, fakeTimers, only } = workerData;
+const instrumentation = instrumentChapter(chapterFile, {
+  sections: parseSections(readFileSync(chapterFile, "utf8")),
+  only,
+});
+
+// host.mjs reads the counts from here when it has to stop the chapter
+parentPort.postMessage({ type: "counts", buffer: instrumentation.sharedCounts });
+
+function fail(err, kind) {
+  parentPort.postMessage({ type: "failed", error: { ...serializeError(err, chapterFile), kind } });
+}
+
+// Installed last so the worker's own timers (the watchdog) stay real
+function importChapter() {
+  if (fakeTimers) createFakeClock().install().setAutoAdvance(true);
+  return import(pathToFileURL(chapterFile).href);
+}
+
+function doneMessage(extra) {
+  return {
+    type: "done",
+    sections: instrumentation.counts(),
+    assertions: instrumentation.callSites(),
+    ...extra,
+  };
+}
+
+if (settle === undefined) {
+  // The worker stops at the first error from a callback. host.mjs sees an
+  // exception as the worker's "error" event, where it can't be told apart from
+  // a rejection, so unhandled rejections are reported from here.
+  process.on("unhandledRejection", (reason) => {
+    fail(reason, "unhandledRejection");
+    process.exit(1);
+  });
+  try {
+    await importChapter();
+  } catch (err) {
+    fail(err, "import");
+  }
+  parentPort.postMessage(doneMessage());
+} else {
+  const tracker = createAsyncTracker();
+  let finished = false;
+  let imported = false;
+
+  function finish(message) {
+    if (finished) return;
+    finished = true;
+    tracker.disable();
+    parentPort.postMessage(message);
+    // Exit explicitly: an unsettled chapter may still have timers scheduled
+    process.exit();
+  }
+
+  // The watchdog is created before tracking starts so it never counts as pending
+  const watchdog = setTimeout(() => {
+    const pending = tracker.pending();
+    fail(
+      new Error(
+        `Chapter did not settle within ${settle} ms ` +
+          `(still pending: ${describePending(pending)})`
+      ),
+      "unsettled"
+    );
+    finish(doneMessage({ pending }));
+  }, settle);
+  watchdog.unref();
+
+  process.on("uncaughtException", (err) => fail(err, "uncaughtException"));
+  process.on("unhandledRejection", (reason) => fail(reason, "unhandledRejection"));
+  // The loop is idle: nothing that is still pending will ever settle
+  process.on("beforeExit", () => {
+    const pending = tracker.pending();
+    if (!imported) {
+      fail(new Error("The chapter's top-level await never finished"), "unsettled");
+    } else if (pending.waiting > 0) {
+      const callbacks =
+        pending.waiting === 1 ? "1 callback still waits" : `${pending.waiting} callbacks still wait`;
+      fail(new Error(`${callbacks} for promises that never settle`), "unsettled");
+    }
+    finish(doneMessage({ pending }));
+  });
+
+  tracker.enable();
+  try {
+    await importChapter();
+  } catch (err) {
+    fail(err, "import");
+  }
+  // Also after a failed import: that is reported, and settled, already
+  imported = true;
+}
@@ -0,0 +1,28 @@
+// Discovery of the numbered chapter modules (09_assertions.mjs, 40_promises.mjs, ...)
+import { readdir } from "fs/promises";
+import { join } from "path";
+
+export const CHAPTER_PATTERN = /^(\d{2})_(.+)\.mjs$/;
+
+// Returns the chapters found in `dir`, sorted by file name. Each chapter is
+// { name: "40_promises", file: "/abs/path/40_promises.mjs" }.
+export async function findChapters(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && CHAPTER_PATTERN.test(entry.name))
+    .map((entry) => entry.name)
+    .sort()
+    .map((fileName) => ({
+      name: fileName.slice(0, -".mjs".length),
+      file: join(dir, fileName),
+    }));
+}
+
+// Keeps the chapters whose name contains one of the `filters` ("40", "promises").
+// No filters means every chapter.
+export function selectChapters(chapters, filters) {
+  if (filters.length === 0) return chapters;
+  return chapters.filter((chapter) =>
+    filters.some((filter) => chapter.name.includes(filter))
+  );
+}
@@ -0,0 +1,166 @@
+// Chapter runner: executes every NN_*.mjs chapter in its own process.
+// Usage: node runner/cli.mjs [--settle[=ms]] [--fake-timers] [--snapshots]
+//                           [--update-snapshots] [--sections] [--section=name]
+//                           [--cpu-budget=ms] [--memory-budget=MB] [--timeout=ms]
+//                           [--reporter=console|tap|junit[:file] ...]
+//                           [name filter ...]
+//   e.g. node runner/cli.mjs 40 41 (only the chapters whose name contains 40 or 41)
+// --settle waits for each chapter's timers and promise callbacks (up to ms,
+// default 5000) and fails it on errors thrown there or unhandled rejections.
+// --fake-timers runs setTimeout()/setInterval()/Date.now() on a virtual clock.
+// --snapshots compares each chapter's console output with snapshots/<chapter>.txt,
+// --update-snapshots re-records those files instead.
+// --sections reports the assertions and failures of every "// ###" section,
+// --section=name only checks the sections whose heading contains `name` (the
+// rest of the chapter still runs, since sections build on each other).
+// Each chapter runs isolated in a fresh process and worker thread, and is stopped
+// after --cpu-budget ms of CPU time (default 10000) or --timeout ms in total
+// (default 30000); its heap is limited to --memory-budget MB (default 256).
+// --reporter picks the report format, console by default. It can be repeated
+// and written to a file, e.g. --reporter=console --reporter=junit:reports/junit.xml
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { createWriteStream } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import { findChapters, selectChapters } from "./chapters.mjs";
+import { runChapter } from "./run_chapter.mjs";
+import { createConsoleReporter } from "./reporter.mjs";
+import { createTapReporter } from "./tap_reporter.mjs";
+import { createJunitReporter } from "./junit_reporter.mjs";
+import { checkSnapshot, defaultMasks, loadChapterMasks } from "./snapshots.mjs";
+import { matchesSection, parseSections } from "./sections.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SNAPSHOT_DIR = join(ROOT, "snapshots");
+
+const DEFAULT_SETTLE_TIMEOUT = 5000;
+const REPORTERS = {
+  console: createConsoleReporter,
+  tap: createTapReporter,
+  junit: createJunitReporter,
+};
+const budgets = {
+  cpuBudget: 10000,
+  memoryBudget: 256,
+  timeout: 30000,
+};
+const BUDGET_FLAGS = {
+  "--cpu-budget=": "cpuBudget",
+  "--memory-budget=": "memoryBudget",
+  "--timeout=": "timeout",
+};
+
+// The number of a numeric flag like --settle=ms; anything but a positive
+// number is a usage error
+function positiveNumber(flag, text) {
+  const value = Number(text);
+  if (!(Number.isFinite(value) && value > 0)) {
+    console.error(`${flag} needs a positive number, got: ${text}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const filters = [];
+let settle;
+let fakeTimers = false;
+let snapshots; // undefined | "compare" | "update"
+let sections = false;
+let only;
+const reporterSpecs = [];
+for (const arg of process.argv.slice(2)) {
+  const budgetFlag = Object.keys(BUDGET_FLAGS).find((flag) => arg.startsWith(flag));
+  if (budgetFlag !== undefined) {
+    budgets[BUDGET_FLAGS[budgetFlag]] = positiveNumber(
+      budgetFlag.slice(0, -1),
+      arg.slice(budgetFlag.length)
+    );
+  } else if (arg === "--settle") {
+    settle = DEFAULT_SETTLE_TIMEOUT;
+  } else if (arg.startsWith("--settle=")) {
+    settle = positiveNumber("--settle", arg.slice("--settle=".length));
+  } else if (arg === "--fake-timers") {
+    fakeTimers = true;
+  } else if (arg === "--snapshots") {
+    snapshots ??= "compare";
+  } else if (arg === "--update-snapshots") {
+    snapshots = "update";
+  } else if (arg.startsWith("--reporter=")) {
+    const [name, file] = arg.slice("--reporter=".length).split(/:(.*)/);
+    if (!(name in REPORTERS)) {
+      console.error(`Unknown reporter: ${name} (known: ${Object.keys(REPORTERS).join(", ")})`);
+      process.exit(1);
+    }
+    reporterSpecs.push({ name, file });
+  } else if (arg === "--sections") {
+    sections = true;
+  } else if (arg.startsWith("--section=")) {
+    sections = true;
+    only = arg.slice("--section=".length);
+  } else {
+    filters.push(arg);
+  }
+}
+
+let chapters = selectChapters(await findChapters(ROOT), filters);
+if (only !== undefined) {
+  const withSection = [];
+  for (const chapter of chapters) {
+    const chapterSections = parseSections(await readFile(chapter.file, "utf8"));
+    if (chapterSections.some((section) => matchesSection(section, only))) {
+      withSection.push(chapter);
+    }
+  }
+  chapters = withSection;
+}
+if (chapters.length === 0) {
+  console.error(`No chapters match: ${[...filters, only ?? ""].join(" ").trim()}`);
+  process.exit(1);
+}
+// The output of a single section cannot be compared with a whole-chapter snapshot
+if (only !== undefined) snapshots = undefined;
+
+const baseMasks = defaultMasks(ROOT);
+const chapterMasks = snapshots ? await loadChapterMasks(SNAPSHOT_DIR) : {};
+
+if (reporterSpecs.length === 0) reporterSpecs.push({ name: "console" });
+const fileStreams = [];
+const reporters = [];
+for (const { name, file } of reporterSpecs) {
+  let out = process.stdout;
+  if (file !== undefined) {
+    await mkdir(dirname(resolve(file)), { recursive: true });
+    out = createWriteStream(file);
+    fileStreams.push(out);
+  }
+  reporters.push(REPORTERS[name](out));
+}
+
+const results = [];
+for (const chapter of chapters) {
+  const result = await runChapter(chapter, {
+    settle,
+    fakeTimers,
+    sections,
+    only,
+    ...budgets,
+  });
+  if (snapshots) {
+    result.snapshot = await checkSnapshot(result, {
+      dir: SNAPSHOT_DIR,
+      masks: [...baseMasks, ...(chapterMasks[chapter.name] ?? [])],
+      update: snapshots === "update",
+    });
+    if (["mismatched", "missing"].includes(result.snapshot.status)) {
+      result.status = "failed";
+    }
+  }
+  for (const reporter of reporters) reporter.chapterFinished(result);
+  results.push(result);
+}
+for (const reporter of reporters) reporter.runFinished(results);
+await Promise.all(
+  fileStreams.map((stream) => new Promise((done) => stream.end(done)))
+);
+
+process.exitCode = results.every((result) => result.status === "passed") ? 0 : 1;
@@ -0,0 +1,37 @@
+// Turns whatever a chapter threw into plain data that can cross the IPC channel.
+import { basename } from "path";
+import { inspect } from "util";
+import { normalizePath, parseStack } from "../utils/stack_trace.mjs";
+
+// First stack frame that points into `file`, as { file, line, column }.
+export function findLocation(stack, file) {
+  if (typeof stack !== "string") return undefined;
+  const wanted = basename(file);
+  const frame = parseStack(stack).frames.find(
+    (each) => each.line !== undefined && basename(normalizePath(each.file)) === wanted
+  );
+  return frame && { file: wanted, line: frame.line, column: frame.column };
+}
+
+export function serializeError(err, file) {
+  if (err === null || typeof err !== "object") {
+    return {
+      name: "Error",
+      message: `Non-error value thrown: ${inspect(err)}`,
+    };
+  }
+  const serialized = {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    stack: err.stack,
+    location: findLocation(err.stack, file),
+  };
+  // AssertionError: keep the operands so reporters can show them
+  if (err.code === "ERR_ASSERTION") {
+    serialized.operator = err.operator;
+    serialized.actual = inspect(err.actual, { depth: 4 });
+    serialized.expected = inspect(err.expected, { depth: 4 });
+  }
+  return serialized;
+}
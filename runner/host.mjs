@@ -0,0 +1,100 @@
+// Child process entry point: runs a single chapter in a fresh worker thread
+// (chapter_worker.mjs) and relays how it went to the parent.
+// Usage (normally via runChapter()):
+//   node runner/host.mjs <chapter file> [--settle <ms>] [--fake-timers]
+//                        [--only <section name>]
+//                        [--cpu-budget <ms>] [--memory-budget <MB>]
+//
+// The worker gets its own globals and heap. It is stopped when the process has
+// used more than --cpu-budget milliseconds of CPU time (e.g. an infinite loop)
+// and crashes in a controlled way when its heap grows beyond --memory-budget.
+import { fileURLToPath } from "url";
+import { Worker } from "worker_threads";
+import { serializeError } from "./errors.mjs";
+import { readSharedCounts } from "./instrument.mjs";
+
+const WORKER = fileURLToPath(new URL("./chapter_worker.mjs", import.meta.url));
+const CPU_POLL_INTERVAL = 50;
+
+const [chapterFile, ...flags] = process.argv.slice(2);
+
+function flagValue(name) {
+  const index = flags.indexOf(name);
+  return index === -1 ? undefined : flags[index + 1];
+}
+const settle = flagValue("--settle");
+const cpuBudget = flagValue("--cpu-budget");
+const memoryBudget = flagValue("--memory-budget");
+
+function fail(name, message, kind) {
+  process.exitCode = 1;
+  process.send({ type: "failed", error: { name, message, kind } });
+}
+
+const worker = new Worker(WORKER, {
+  workerData: {
+    chapterFile,
+    settle: settle === undefined ? undefined : Number(settle),
+    fakeTimers: flags.includes("--fake-timers"),
+    only: flagValue("--only"),
+  },
+  resourceLimits: memoryBudget === undefined
+    ? undefined
+    : { maxOldGenerationSizeMb: Number(memoryBudget) },
+});
+
+let done = false;
+let stopped = false;
+let sharedCounts;
+worker.on("message", (message) => {
+  if (message.type === "counts") {
+    sharedCounts = message.buffer;
+    return;
+  }
+  if (message.type === "failed") process.exitCode = 1;
+  if (message.type === "done") done = true;
+  process.send(message);
+});
+worker.on("error", (err) => {
+  if (err.code === "ERR_WORKER_OUT_OF_MEMORY") {
+    fail("RangeError", `Chapter ran out of memory (budget: ${memoryBudget} MB)`, "crash");
+  } else {
+    // Thrown from a callback without --settle, the worker stops at the first
+    // one (chapter_worker.mjs reports unhandled rejections itself)
+    process.exitCode = 1;
+    process.send({
+      type: "failed",
+      error: { ...serializeError(err, chapterFile), kind: "uncaughtException" },
+    });
+  }
+});
+
+let cpuWatch;
+if (cpuBudget !== undefined) {
+  const start = process.cpuUsage();
+  // The worker runs on its own thread, so this one stays free to measure it
+  cpuWatch = setInterval(() => {
+    const { user, system } = process.cpuUsage(start);
+    if ((user + system) / 1000 > Number(cpuBudget)) {
+      stopped = true;
+      fail("Error", `Chapter used more than ${cpuBudget} ms of CPU time`, "timeout");
+      worker.terminate();
+    }
+  }, CPU_POLL_INTERVAL);
+}
+
+worker.on("exit", (exitCode) => {
+  clearInterval(cpuWatch);
+  if (!done && !stopped && exitCode !== 0 && process.exitCode !== 1) {
+    fail("Error", `Chapter worker exited with code ${exitCode}`, "crash");
+  }
+  if (done) return;
+  // The worker was stopped or crashed before it could report: its counts show
+  // how far it got, the last section with an assertion or log line included
+  if (sharedCounts === undefined) {
+    process.send({ type: "done" });
+  } else {
+    const { counts, lastIndex } = readSharedCounts(sharedCounts);
+    process.send({ type: "done", sections: counts, stoppedIn: Math.max(lastIndex, 0) });
+  }
+});
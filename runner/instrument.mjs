@@ -0,0 +1,151 @@
+// Runs inside the chapter worker: wraps the assert-strict methods and console
+// output so that every assertion and log line is attributed to the chapter
+// section it comes from (see sections.mjs), and every assertion call site is
+// recorded with its method and outcome (see assertions.mjs).
+import assert from "assert";
+import { basename } from "path";
+import { normalizePath, parseStack } from "../utils/stack_trace.mjs";
+import { matchesSection, sectionIndexAt } from "./sections.mjs";
+
+// assert-strict exports this very object (require("assert").strict)
+const strictAssert = assert.strict;
+const NOT_ASSERTIONS = new Set(["AssertionError", "CallTracker", "strict"]);
+const ASYNC_ASSERTIONS = new Set(["rejects", "doesNotReject"]);
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug", "dir", "table"];
+
+// { line, column } of the innermost stack frame inside the chapter file
+function callSitePosition(chapterName) {
+  const { frames } = parseStack(new Error().stack);
+  const frame = frames.find(
+    (each) => each.line !== undefined && basename(normalizePath(each.file)) === chapterName
+  );
+  return frame && { line: frame.line, column: frame.column };
+}
+
+// The per-section counts live in shared memory, so that host.mjs can still
+// read them when it has to stop a chapter that hangs: one slot for the section
+// of the latest assertion or log line (-1 before the first), then the fields
+// of each section.
+const COUNT_FIELDS = ["assertions", "skipped", "logs", "duration"];
+
+// { counts, lastIndex } from the `sharedCounts` buffer of instrumentChapter()
+export function readSharedCounts(buffer) {
+  const values = new Float64Array(buffer);
+  const counts = [];
+  for (let offset = 1; offset < values.length; offset += COUNT_FIELDS.length) {
+    counts.push(
+      Object.fromEntries(COUNT_FIELDS.map((field, i) => [field, values[offset + i]]))
+    );
+  }
+  return { counts, lastIndex: values[0] };
+}
+
+// Options:
+// -> sections: parseSections() of the chapter source
+// -> only: section name; assertions elsewhere are skipped and their output hidden
+//
+// Returns
+// -> counts(): one { assertions, skipped, logs, duration } entry per section.
+//    The duration (ms) is approximate: the time since the previous assertion
+//    or log line is credited to the section of the current one.
+// -> sharedCounts: a SharedArrayBuffer with the same counts (see
+//    readSharedCounts()), kept up to date as the chapter runs
+// -> callSites(): [{ line, column, method, calls, passed, failed, skipped }]
+//    for every assertion that ran. An assertion that threw counts as failed
+//    even if the chapter caught the error; a rejects() still pending is
+//    neither.
+export function instrumentChapter(chapterFile, { sections, only }) {
+  const chapterName = basename(chapterFile);
+  const sharedCounts = new SharedArrayBuffer(
+    Float64Array.BYTES_PER_ELEMENT * (1 + sections.length * COUNT_FIELDS.length)
+  );
+  const values = new Float64Array(sharedCounts);
+  values[0] = -1;
+  function add(index, field, amount = 1) {
+    values[1 + index * COUNT_FIELDS.length + COUNT_FIELDS.indexOf(field)] += amount;
+  }
+  const sites = new Map(); // "line:column:method" -> call site
+  let lastEvent = performance.now();
+
+  // { line, column, index } of the caller, or undefined when not called from
+  // the chapter
+  function locateCaller() {
+    const position = callSitePosition(chapterName);
+    if (position === undefined) return undefined;
+    const index = sectionIndexAt(sections, position.line);
+    const now = performance.now();
+    add(index, "duration", now - lastEvent);
+    values[0] = index;
+    lastEvent = now;
+    return { ...position, index };
+  }
+  function isSelected(caller) {
+    return only === undefined || caller === undefined ||
+      matchesSection(sections[caller.index], only);
+  }
+  function siteOf({ line, column }, method) {
+    const key = `${line}:${column}:${method}`;
+    if (!sites.has(key)) {
+      sites.set(key, {
+        line, column, method, calls: 0, passed: 0, failed: 0, skipped: 0,
+      });
+    }
+    return sites.get(key);
+  }
+
+  for (const [name, method] of Object.entries(strictAssert)) {
+    if (typeof method !== "function" || NOT_ASSERTIONS.has(name)) continue;
+    strictAssert[name] = function (...args) {
+      const caller = locateCaller();
+      if (caller === undefined) return method.apply(this, args);
+      const site = siteOf(caller, name);
+      site.calls++;
+      if (!isSelected(caller)) {
+        site.skipped++;
+        add(caller.index, "skipped");
+        return ASYNC_ASSERTIONS.has(name) ? Promise.resolve() : undefined;
+      }
+      add(caller.index, "assertions");
+      let outcome;
+      try {
+        outcome = method.apply(this, args);
+      } catch (err) {
+        site.failed++;
+        throw err;
+      }
+      if (!ASYNC_ASSERTIONS.has(name)) {
+        site.passed++;
+        return outcome;
+      }
+      return outcome.then(
+        () => { site.passed++; },
+        (err) => {
+          site.failed++;
+          throw err;
+        }
+      );
+    };
+  }
+
+  for (const name of CONSOLE_METHODS) {
+    const original = console[name];
+    console[name] = function (...args) {
+      const caller = locateCaller();
+      if (!isSelected(caller)) return;
+      if (caller !== undefined) add(caller.index, "logs");
+      return original.apply(this, args);
+    };
+  }
+
+  return {
+    counts() {
+      return readSharedCounts(sharedCounts).counts;
+    },
+    sharedCounts,
+    callSites() {
+      return [...sites.values()]
+        .map((site) => ({ ...site }))
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+    },
+  };
+}
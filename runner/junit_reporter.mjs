@@ -0,0 +1,86 @@
+// JUnit XML report: a <testsuite> per chapter with a <testcase> per section
+// (or a single one named after the chapter when the run has no sections).
+import { toTestCases } from "./test_cases.mjs";
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 cannot contain, e.g. ANSI escape codes
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+// Newlines in attribute values would be normalised to spaces by XML parsers
+function escapeAttribute(value) {
+  return escapeXml(value).replace(/\n/g, "&#10;");
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+function failureText(failure) {
+  const lines = [];
+  if (failure.location) {
+    const { file, line, column } = failure.location;
+    lines.push(`at ${file}:${line}:${column}`);
+  }
+  if (failure.operator) lines.push(`operator: ${failure.operator}`);
+  if (failure.expected !== undefined) lines.push(`expected: ${failure.expected}`);
+  if (failure.actual !== undefined) lines.push(`actual: ${failure.actual}`);
+  if (failure.details) lines.push(failure.details);
+  if (failure.stack) lines.push("", failure.stack);
+  return lines.join("\n");
+}
+
+function testCaseXml(chapterName, testCase) {
+  const open = `    <testcase classname="${escapeAttribute(chapterName)}" ` +
+    `name="${escapeAttribute(testCase.name)}" assertions="${testCase.assertions}" ` +
+    `time="${seconds(testCase.duration)}"`;
+  if (testCase.status === "passed") return `${open}/>`;
+  const lines = [`${open}>`];
+  if (testCase.status === "skipped") {
+    lines.push(`      <skipped message="${escapeAttribute(testCase.skipReason)}"/>`);
+  }
+  for (const failure of testCase.failures) {
+    lines.push(
+      `      <failure message="${escapeAttribute(failure.message)}" type="${escapeAttribute(failure.name)}">` +
+        `${escapeXml(failureText(failure))}</failure>`
+    );
+  }
+  lines.push("    </testcase>");
+  return lines.join("\n");
+}
+
+export function createJunitReporter(out = process.stdout) {
+  return {
+    chapterFinished() {},
+    runFinished(results) {
+      const suites = results.map((result) => {
+        const cases = toTestCases(result);
+        const count = (status) => cases.filter((c) => c.status === status).length;
+        return {
+          xml: [
+            `  <testsuite name="${escapeAttribute(result.chapter.name)}" tests="${cases.length}" ` +
+              `failures="${count("failed")}" errors="0" skipped="${count("skipped")}" ` +
+              `time="${seconds(result.duration)}">`,
+            ...cases.map((testCase) => testCaseXml(result.chapter.name, testCase)),
+            "  </testsuite>",
+          ].join("\n"),
+          tests: cases.length,
+          failures: count("failed"),
+          time: result.duration,
+        };
+      });
+      const total = (key) => suites.reduce((sum, suite) => sum + suite[key], 0);
+      out.write('<?xml version="1.0" encoding="UTF-8"?>\n');
+      out.write(
+        `<testsuites name="chapters" tests="${total("tests")}" ` +
+          `failures="${total("failures")}" time="${seconds(total("time"))}">\n`
+      );
+      for (const suite of suites) out.write(suite.xml + "\n");
+      out.write("</testsuites>\n");
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// Line-based diff (longest common subsequence) rendered as unified-style hunks.
+
+// Edit script between two arrays of lines: [{ op: " " | "-" | "+", line }]
+export function diffLines(expectedLines, actualLines) {
+  const n = expectedLines.length;
+  const m = actualLines.length;
+  // lengths[i][j] = LCS length of expectedLines[i..] and actualLines[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = expectedLines[i] === actualLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && expectedLines[i] === actualLines[j]) {
+      edits.push({ op: " ", line: expectedLines[i++] });
+      j++;
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      edits.push({ op: "-", line: expectedLines[i++] });
+    } else {
+      edits.push({ op: "+", line: actualLines[j++] });
+    }
+  }
+  return edits;
+}
+
+// "- expected / + actual" hunks with `context` unchanged lines around each change.
+// Returns "" when both texts are equal.
+export function formatLineDiff(expected, actual, { context = 3 } = {}) {
+  const edits = diffLines(expected.split("\n"), actual.split("\n"));
+  const changed = edits.flatMap((edit, index) => (edit.op === " " ? [] : [index]));
+  if (changed.length === 0) return "";
+
+  const hunks = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(edits.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      hunks.push({ from, to });
+    }
+  }
+
+  const lines = ["- expected (snapshot)", "+ actual"];
+  for (const { from, to } of hunks) {
+    // Line number in the snapshot where the hunk starts
+    const line = edits.slice(0, from).filter((edit) => edit.op !== "+").length + 1;
+    lines.push(`@@ line ${line} @@`);
+    for (const edit of edits.slice(from, to)) lines.push(`${edit.op} ${edit.line}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,145 @@
+// Human-readable console report: one line per chapter plus failure details.
+
+function indent(text, prefix = "    ") {
+  return text
+    .split("\n")
+    .map((line) => prefix + line)
+    .join("\n");
+}
+
+function formatLocation(location) {
+  return location ? `${location.file}:${location.line}:${location.column}` : "";
+}
+
+const KIND_LABELS = {
+  uncaughtException: "Thrown from a callback",
+  unhandledRejection: "Unhandled rejection",
+  timeout: "Timed out",
+  crash: "Crashed",
+};
+
+export function formatFailure(error) {
+  const lines = [`${error.name}: ${error.message}`];
+  if (KIND_LABELS[error.kind]) {
+    const where = formatLocation(error.location);
+    lines.unshift(`${KIND_LABELS[error.kind]}${where ? ` at ${where}` : ""}:`);
+  }
+  if (error.code === "ERR_ASSERTION" && !error.message.includes("\n")) {
+    // Custom assertion messages hide the diff, show the operands instead
+    lines.push(`operator: ${error.operator}`);
+    lines.push(`actual:   ${error.actual}`);
+    lines.push(`expected: ${error.expected}`);
+  }
+  return lines.join("\n");
+}
+
+const SECTION_MARKS = {
+  passed: "✓",
+  failed: "✗",
+  "not reached": "·",
+  stopped: "!",
+  unknown: "?",
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+export function formatSection(section) {
+  const details = [];
+  if (section.failed > 0) details.push(`${section.failed} failed`);
+  if (section.status === "not reached" || section.status === "unknown") {
+    details.push(section.status);
+  } else {
+    details.push(plural(section.assertions, "assertion"));
+  }
+  if (section.status === "stopped") details.push("stopped here or later");
+  return `${SECTION_MARKS[section.status]} ${section.title}: ${details.join(", ")}`;
+}
+
+// Sections worth a line: skip the ones filtered out and an idle preamble
+function visibleSections(result) {
+  return (result.sections ?? []).filter(
+    (section) =>
+      section.status !== "skipped" &&
+      (section.line > 1 || section.assertions + section.logs + section.failed > 0)
+  );
+}
+
+// "28_single_objects › Optional chaining: 1 failed" per failed section, or the
+// chapter name when the failure has no section. Each comes with the location of
+// its (first) error.
+function failures(result) {
+  const failedSections = (result.sections ?? []).filter((s) => s.status === "failed");
+  if (failedSections.length === 0) {
+    return [{ label: result.chapter.name, location: result.error?.location }];
+  }
+  return failedSections.map((section) => ({
+    label: `${result.chapter.name} › ${section.title}: ${section.failed} failed`,
+    location: section.location,
+  }));
+}
+
+function failureLabels(result) {
+  return failures(result).map(({ label }) => label);
+}
+
+// Assertions of a passed chapter that never ran, e.g. in a branch not taken
+function unreachedLines(result) {
+  if (result.status !== "passed" || result.assertions === undefined) return "";
+  return result.assertions.unreached
+    .map(({ line, column, method }) => `! never reached: assert.${method}() at ${line}:${column}`)
+    .join("\n");
+}
+
+export function createConsoleReporter(out = process.stdout) {
+  return {
+    chapterFinished(result) {
+      const { chapter, status, errors, snapshot, assertions, duration } = result;
+      const sectionLines = visibleSections(result).map(formatSection).join("\n");
+      if (status === "passed") {
+        const counted = assertions ? `, ${plural(assertions.total, "assertion")}` : "";
+        const written = snapshot?.status === "written" ? ", snapshot written" : "";
+        out.write(` PASS  ${chapter.name} (${duration} ms${counted}${written})\n`);
+        if (sectionLines) out.write(indent(sectionLines, "       ") + "\n");
+        const unreached = unreachedLines(result);
+        if (unreached) out.write(indent(unreached, "       ") + "\n");
+        return;
+      }
+      for (const { label, location } of failures(result)) {
+        const where = formatLocation(location);
+        out.write(` FAIL  ${label}${where ? `  at ${where}` : ""}\n`);
+      }
+      if (sectionLines) out.write(indent(sectionLines, "       ") + "\n");
+      for (const each of errors) {
+        out.write(indent(formatFailure(each)) + "\n");
+      }
+      if (errors.some((each) => each.location === undefined) && result.stderr.trim()) {
+        out.write(indent(result.stderr.trim()) + "\n");
+      }
+      if (snapshot?.status === "missing") {
+        out.write(indent(`No snapshot of the console output, record it with --update-snapshots`) + "\n");
+      } else if (snapshot?.status === "mismatched") {
+        out.write(indent("Console output differs from the snapshot:") + "\n");
+        out.write(indent(snapshot.diff, "      ") + "\n");
+      }
+    },
+    runFinished(results) {
+      const failed = results.filter((result) => result.status !== "passed");
+      const assertions = results.reduce((sum, r) => sum + (r.assertions?.total ?? 0), 0);
+      const unreached = results.reduce(
+        (sum, r) => sum + (r.status === "passed" ? r.assertions?.unreached.length ?? 0 : 0),
+        0
+      );
+      out.write(
+        `\n${results.length} chapters: ` +
+          `${results.length - failed.length} passed, ${failed.length} failed` +
+          ` (${plural(assertions, "assertion")}` +
+          `${unreached > 0 ? `, ${unreached} never reached` : ""})\n`
+      );
+      if (failed.length > 0) {
+        out.write(`Failed:\n${indent(failed.flatMap(failureLabels).join("\n"), "  ")}\n`);
+      }
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// Runs one chapter in its own Node process (and there in a fresh worker thread,
+// see host.mjs) and collects the outcome.
+import { fork } from "child_process";
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { parseSections, summarizeSections } from "./sections.mjs";
+import { findAssertionCalls, summarizeAssertions } from "./assertions.mjs";
+
+const HOST = fileURLToPath(new URL("./host.mjs", import.meta.url));
+
+// Options:
+// -> settle: milliseconds to wait for the chapter's async work (timers,
+//    promise callbacks) to finish. Undefined means the chapter is done as soon
+//    as its module has been evaluated.
+// -> fakeTimers: run the chapter's timers on a virtual clock (utils/fake_clock.mjs).
+// -> sections: report per "// ###" section (see sections.mjs).
+// -> only: with sections, the name of the one section to check.
+// -> cpuBudget: milliseconds of CPU time before the chapter is stopped.
+// -> memoryBudget: heap size in MB before the chapter crashes.
+// -> timeout: wall-clock milliseconds before the process is killed, the last
+//    resort when a chapter never finishes without using CPU.
+//
+// Resolves (never rejects) with
+// { chapter, status: "passed" | "failed", error, errors, pending, sections,
+//   assertions, stdout, stderr, exitCode, duration }
+// where `error` is the first of `errors`, `pending` counts the promises and
+// timers left unsettled (settle mode only), `sections` is the result of
+// summarizeSections() (sections mode only) and `assertions` the result of
+// summarizeAssertions() (undefined when the chapter was stopped before it
+// could report).
+export async function runChapter(
+  chapter,
+  {
+    settle,
+    fakeTimers = false,
+    sections = false,
+    only,
+    cpuBudget,
+    memoryBudget,
+    timeout,
+  } = {}
+) {
+  const source = await readFile(chapter.file, "utf8");
+  const sectionList = sections ? parseSections(source) : undefined;
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const args = [chapter.file];
+    if (settle !== undefined) args.push("--settle", String(settle));
+    if (fakeTimers) args.push("--fake-timers");
+    if (sections && only !== undefined) args.push("--only", only);
+    if (cpuBudget !== undefined) args.push("--cpu-budget", String(cpuBudget));
+    if (memoryBudget !== undefined) args.push("--memory-budget", String(memoryBudget));
+    const child = fork(HOST, args, { silent: true });
+    const result = {
+      chapter,
+      status: "passed",
+      error: undefined,
+      errors: [],
+      pending: undefined,
+      sections: undefined,
+      assertions: undefined,
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      duration: 0,
+    };
+
+    child.stdout.setEncoding("utf8").on("data", (chunk) => (result.stdout += chunk));
+    child.stderr.setEncoding("utf8").on("data", (chunk) => (result.stderr += chunk));
+    let sectionCounts;
+    let stoppedIn;
+    let callSites;
+    child.on("message", (message) => {
+      if (message.type === "failed") {
+        result.errors.push(message.error);
+      } else if (message.type === "done") {
+        result.pending = message.pending;
+        sectionCounts = message.sections;
+        stoppedIn = message.stoppedIn;
+        callSites = message.assertions;
+      }
+    });
+    let killTimer;
+    if (timeout !== undefined) {
+      killTimer = setTimeout(() => {
+        result.errors.push({
+          name: "Error",
+          message: `Chapter did not finish within ${timeout} ms`,
+          kind: "timeout",
+        });
+        child.kill("SIGKILL");
+      }, timeout);
+    }
+    child.on("close", (exitCode, signal) => {
+      clearTimeout(killTimer);
+      result.exitCode = exitCode;
+      result.duration = Date.now() - start;
+      if (result.errors.length === 0 && exitCode !== 0) {
+        // Crashed without reporting (e.g. an uncaught error after the import)
+        result.errors.push({
+          name: "Error",
+          message: `Chapter process exited with ${signal ?? `code ${exitCode}`}`,
+        });
+      }
+      if (result.errors.length > 0) {
+        result.status = "failed";
+        result.error = result.errors[0];
+      }
+      // A chapter that was stopped never reported which assertions ran
+      if (callSites !== undefined) {
+        result.assertions = summarizeAssertions(findAssertionCalls(source), callSites);
+      }
+      if (sectionList !== undefined) {
+        result.sections = summarizeSections(sectionList, sectionCounts, result.errors, {
+          only,
+          stoppedIn,
+        });
+      }
+      resolve(result);
+    });
+  });
+}
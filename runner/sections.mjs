@@ -0,0 +1,81 @@
+// Chapters are structured with heading comments: "// ### Heading", "// ## Heading",
+// "// #### Heading" or the banner style of 31_arrays.mjs ("// ####...####" lines
+// around "// ## Heading ###"). A section runs from its heading to the next one.
+
+const HEADING = /^\s*\/{2,}\s*(#{2,})\s*(.*?)[\s#]*$/;
+
+export const PREAMBLE = "(preamble)";
+
+// [{ title, level, line }] in source order. The first entry is the preamble:
+// the code before the first heading (imports, introduction).
+export function parseSections(source) {
+  const sections = [{ title: PREAMBLE, level: 0, line: 1 }];
+  source.split("\n").forEach((text, index) => {
+    const match = HEADING.exec(text);
+    // Banner lines ("// ########") have no title
+    if (match && match[2] !== "") {
+      sections.push({ title: match[2], level: match[1].length, line: index + 1 });
+    }
+  });
+  return sections;
+}
+
+// Index of the section that contains `line` (1-based)
+export function sectionIndexAt(sections, line) {
+  let index = 0;
+  while (index + 1 < sections.length && sections[index + 1].line <= line) index++;
+  return index;
+}
+
+// Case-insensitive substring match: "optional chaining" selects
+// "Optional chaining for property accesses and method calls"
+export function matchesSection(section, name) {
+  return section.title.toLowerCase().includes(name.toLowerCase());
+}
+
+// Per-section report of one chapter run: [{ title, line, assertions, skipped,
+// logs, duration, failed, location, status }] where status is "passed",
+// "failed", "skipped" (other section selected with `only`) or "not reached"
+// (after the error that stopped the chapter), and location is where the first
+// error of the section happened. `counts` come from instrument.mjs, `errors`
+// from runChapter().
+//
+// When the chapter ended before it could report (stopped for CPU time,
+// crashed), `stoppedIn` is the section of its last assertion or log line: that
+// one is "stopped" and the ones after it are "unknown". Without any counts
+// every section is "unknown".
+export function summarizeSections(sections, counts, errors, { only, stoppedIn } = {}) {
+  const located = errors.filter((error) => error.location !== undefined);
+  const stoppedAt = located.find((error) => error.kind === "import")?.location.line;
+  return sections.map((section, index) => {
+    const { assertions = 0, skipped = 0, logs = 0, duration = 0 } = counts?.[index] ?? {};
+    const sectionErrors = located.filter(
+      (error) => sectionIndexAt(sections, error.location.line) === index
+    );
+    const failed = sectionErrors.length;
+    let status = "passed";
+    if (failed > 0) {
+      status = "failed";
+    } else if (only !== undefined && !matchesSection(section, only)) {
+      status = "skipped";
+    } else if (counts === undefined || index > stoppedIn) {
+      status = "unknown";
+    } else if (index === stoppedIn) {
+      status = "stopped";
+    } else if (stoppedAt !== undefined && section.line > stoppedAt &&
+               assertions + logs === 0) {
+      status = "not reached";
+    }
+    return {
+      title: section.title,
+      line: section.line,
+      assertions,
+      skipped,
+      logs,
+      duration,
+      failed,
+      location: sectionErrors[0]?.location,
+      status,
+    };
+  });
+}
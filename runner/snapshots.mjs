@@ -0,0 +1,64 @@
+// Golden-output snapshots: a chapter's console output (stdout) is compared with
+// snapshots/<chapter>.txt after masking the parts that legitimately vary.
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { formatLineDiff } from "./line_diff.mjs";
+
+// A mask is a [RegExp, replacement] pair applied with String.prototype.replace().
+// These apply to every chapter; snapshots/masks.mjs adds per-chapter ones.
+export function defaultMasks(root) {
+  const rootPath = root.replace(/[\\/]$/, "");
+  const rootUrl = pathToFileURL(rootPath).href;
+  return [
+    // Stack traces: frames depend on the Node version and on how the chapter is run
+    [/^(\s+)at .*(?:\n\s+at .*)*$/gm, "$1at <stack frames>"],
+    [new RegExp(escapeRegExp(rootUrl), "g"), "<root>"],
+    [new RegExp(escapeRegExp(rootPath), "g"), "<root>"],
+  ];
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function applyMasks(text, masks) {
+  return masks.reduce(
+    (masked, [pattern, replacement]) => masked.replace(pattern, replacement),
+    text
+  );
+}
+
+// Per-chapter masks from <dir>/masks.mjs: export default { "40_promises": [[/re/g, "x"]] }
+export async function loadChapterMasks(dir) {
+  try {
+    const module = await import(pathToFileURL(join(dir, "masks.mjs")).href);
+    return module.default;
+  } catch (err) {
+    if (err.code === "ERR_MODULE_NOT_FOUND") return {};
+    throw err;
+  }
+}
+
+// Compares (or with `update`, re-records) the snapshot of one chapter run.
+// Resolves with { status: "matched" | "mismatched" | "missing" | "written", diff }
+export async function checkSnapshot(result, { dir, masks, update = false }) {
+  const file = join(dir, `${result.chapter.name}.txt`);
+  const actual = applyMasks(result.stdout, masks);
+
+  if (update) {
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, actual);
+    return { status: "written", diff: "" };
+  }
+
+  let expected;
+  try {
+    expected = await readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return { status: "missing", diff: "" };
+    throw err;
+  }
+  const diff = formatLineDiff(expected, actual);
+  return { status: diff === "" ? "matched" : "mismatched", diff };
+}
@@ -0,0 +1,99 @@
+// TAP version 13 report: one test point per chapter, with the chapter's
+// sections as an indented subtest when the run has sections.
+import { toTestCases } from "./test_cases.mjs";
+
+function yamlBlock(fields, indent) {
+  const lines = [`${indent}---`];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (typeof value === "number") {
+      lines.push(`${indent}${key}: ${value}`);
+      continue;
+    }
+    const text = String(value);
+    if (text.includes("\n")) {
+      lines.push(`${indent}${key}: |-`);
+      for (const line of text.split("\n")) lines.push(`${indent}  ${line}`);
+    } else {
+      lines.push(`${indent}${key}: ${JSON.stringify(text)}`);
+    }
+  }
+  lines.push(`${indent}...`);
+  return lines.join("\n");
+}
+
+function failureFields(failure) {
+  const { location } = failure;
+  return {
+    name: failure.name,
+    message: failure.message,
+    operator: failure.operator,
+    expected: failure.expected,
+    actual: failure.actual,
+    at: location && `${location.file}:${location.line}:${location.column}`,
+    details: failure.details,
+  };
+}
+
+// Assertions in the source that never ran, one per line
+function formatUnreached(unreached = []) {
+  if (unreached.length === 0) return undefined;
+  return unreached
+    .map(({ line, column, method }) => `assert.${method}() at ${line}:${column}`)
+    .join("\n");
+}
+
+// "#" starts a directive in a description
+function description(name) {
+  return name.replace(/#/g, "\\#");
+}
+
+function testPoint(number, testCase, indent) {
+  const ok = testCase.status === "failed" ? "not ok" : "ok";
+  const directive = testCase.status === "skipped" ? ` # SKIP ${testCase.skipReason}` : "";
+  const lines = [`${indent}${ok} ${number} - ${description(testCase.name)}${directive}`];
+  const details = {
+    duration_ms: Number(testCase.duration.toFixed(3)),
+    assertions: testCase.assertions,
+    never_reached: formatUnreached(testCase.unreached),
+  };
+  testCase.failures.forEach((failure, index) => {
+    for (const [key, value] of Object.entries(failureFields(failure))) {
+      details[testCase.failures.length > 1 ? `${key}_${index + 1}` : key] = value;
+    }
+  });
+  lines.push(yamlBlock(details, `${indent}  `));
+  return lines.join("\n");
+}
+
+export function createTapReporter(out = process.stdout) {
+  let count = 0;
+  out.write("TAP version 13\n");
+  return {
+    chapterFinished(result) {
+      count++;
+      const cases = toTestCases(result);
+      if (result.sections === undefined) {
+        out.write(testPoint(count, cases[0], "") + "\n");
+        return;
+      }
+      out.write(`# Subtest: ${result.chapter.name}\n`);
+      cases.forEach((testCase, index) => {
+        out.write(testPoint(index + 1, testCase, "    ") + "\n");
+      });
+      out.write(`    1..${cases.length}\n`);
+      const chapterCase = {
+        name: result.chapter.name,
+        status: result.status === "passed" ? "passed" : "failed",
+        duration: result.duration,
+        assertions: result.assertions?.total ?? 0,
+        unreached: result.assertions?.unreached,
+        failures: [],
+      };
+      out.write(testPoint(count, chapterCase, "") + "\n");
+    },
+    runFinished() {
+      out.write(`1..${count}\n`);
+    },
+  };
+}
@@ -0,0 +1,93 @@
+// Flattens a chapter result into the test cases the machine-readable reporters
+// (TAP, JUnit) emit: one per section when the run has sections, plus one named
+// after the chapter for what cannot be pinned to a section (crashes, timeouts,
+// snapshot differences). Without sections there is just the chapter case.
+//
+// A case is { name, status: "passed" | "failed" | "skipped", duration (ms),
+// assertions (count), unreached (assertions that never ran),
+// failures: [{ name, message, operator, actual, expected, location, details }],
+// skipReason }.
+import { sectionIndexAt } from "./sections.mjs";
+
+// Sections that have no outcome of their own (see summarizeSections())
+const SKIP_REASONS = {
+  skipped: "section not selected",
+  "not reached": "not reached",
+  stopped: "chapter was stopped here or later",
+  unknown: "chapter was stopped before",
+};
+
+function snapshotFailure(result) {
+  const { snapshot, chapter } = result;
+  if (snapshot?.status === "mismatched") {
+    return {
+      name: "SnapshotMismatch",
+      message: `Console output differs from snapshots/${chapter.name}.txt`,
+      details: snapshot.diff,
+    };
+  }
+  if (snapshot?.status === "missing") {
+    return {
+      name: "SnapshotMissing",
+      message: `No snapshot of the console output (snapshots/${chapter.name}.txt)`,
+    };
+  }
+  return undefined;
+}
+
+export function toTestCases(result) {
+  const snapshotError = snapshotFailure(result);
+  const chapterFailures = snapshotError ? [snapshotError] : [];
+
+  if (result.sections === undefined) {
+    const failures = [...result.errors, ...chapterFailures];
+    return [{
+      name: result.chapter.name,
+      status: failures.length > 0 ? "failed" : "passed",
+      duration: result.duration,
+      assertions: result.assertions?.total ?? 0,
+      unreached: result.assertions?.unreached,
+      failures,
+    }];
+  }
+
+  const sectionLines = result.sections.map((section) => ({ line: section.line }));
+  const failuresBySection = result.sections.map(() => []);
+  for (const error of result.errors) {
+    if (error.location === undefined) {
+      chapterFailures.unshift(error);
+    } else {
+      failuresBySection[sectionIndexAt(sectionLines, error.location.line)].push(error);
+    }
+  }
+
+  const cases = result.sections
+    .map((section, index) => {
+      const testCase = {
+        name: section.title,
+        status: failuresBySection[index].length > 0 ? "failed" : "passed",
+        duration: section.duration,
+        assertions: section.assertions,
+        failures: failuresBySection[index],
+      };
+      if (SKIP_REASONS[section.status] !== undefined) {
+        testCase.status = "skipped";
+        testCase.skipReason = SKIP_REASONS[section.status];
+      }
+      return testCase;
+    })
+    // An empty preamble is no test
+    .filter((testCase, index) =>
+      index > 0 || testCase.failures.length > 0 || result.sections[0].assertions > 0
+    );
+  if (chapterFailures.length > 0) {
+    cases.push({
+      name: result.chapter.name,
+      status: "failed",
+      duration: result.duration,
+      assertions: 0,
+      failures: chapterFailures,
+    });
+  }
+  return cases;
+}
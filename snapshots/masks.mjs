@@ -0,0 +1,12 @@
+// Extra masks for chapter snapshots, keyed by chapter name. Each mask is a
+// [RegExp, replacement] pair applied to the console output before comparing.
+// Stack frames and the checkout path are always masked (see runner/snapshots.mjs).
+//
+// Example: "40_promises": [[/Promise \{ \d+ \}/g, "Promise { <value> }"]],
+export default {
+  // The keys of the assert module differ between Node.js versions
+  "27_modules": [
+    [/^\[[^\]]*\]\n/m, "<keys of assert, as an Array>\n"],
+    [/^(?:\w+\n)+/m, "<keys of assert, one per line>\n"],
+  ],
+};
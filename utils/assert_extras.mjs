@@ -0,0 +1,200 @@
+// Assertions that assert-strict lacks, built on top of it: checks for how a
+// promise settles, conditions that become true eventually, float comparisons
+// with a tolerance and the order of console output.
+import assert from "assert-strict";
+import { format, inspect, isDeepStrictEqual } from "util";
+
+function fail(message, actual, expected, operator) {
+  throw new assert.AssertionError({ message, actual, expected, operator });
+}
+
+function describe(value) {
+  return inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+// Does `reason` match `expected`? Supported:
+// -> a class: reason instanceof expected
+// -> a RegExp: tested against String(reason)
+// -> a plain object: each of its properties must match (deep equality, RegExp
+//    values are tested against strings); `errors` is matched entry by entry,
+//    so the contents of an AggregateError can be checked
+// -> anything else: deep equality
+function matches(reason, expected) {
+  if (typeof expected === "function") return reason instanceof expected;
+  if (expected instanceof RegExp) return expected.test(String(reason));
+  if (expected !== null && typeof expected === "object" &&
+      Object.getPrototypeOf(expected) === Object.prototype) {
+    if (reason === null || typeof reason !== "object") return false;
+    return Object.entries(expected).every(([key, value]) => {
+      if (key === "errors" && Array.isArray(value)) {
+        return Array.isArray(reason.errors) &&
+          reason.errors.length === value.length &&
+          value.every((each, index) => matches(reason.errors[index], each));
+      }
+      if (value instanceof RegExp && typeof reason[key] === "string") {
+        return value.test(reason[key]);
+      }
+      return isDeepStrictEqual(reason[key], value);
+    });
+  }
+  return isDeepStrictEqual(reason, expected);
+}
+
+// Awaits `promise` (or the promise returned by calling it) and checks that it
+// rejects with a reason matching `expected` (see matches()). Resolves with the
+// reason.
+//   await rejectsWith(Promise.any(promises), {
+//     name: "AggregateError",
+//     errors: ["ERROR A", "ERROR B", "ERROR C"],
+//   });
+export async function rejectsWith(promise, expected, message) {
+  let rejected = false;
+  let reason;
+  try {
+    await (typeof promise === "function" ? promise() : promise);
+  } catch (err) {
+    rejected = true;
+    reason = err;
+    if (expected === undefined || matches(err, expected)) return err;
+  }
+  if (!rejected) {
+    fail(message ?? "Expected the promise to reject, but it fulfilled", undefined, expected, "rejectsWith");
+  }
+  fail(
+    message ?? `The rejection reason does not match:\n  actual:   ${describe(reason)}\n  expected: ${describe(expected)}`,
+    reason,
+    expected,
+    "rejectsWith"
+  );
+}
+
+// Awaits `promise` and checks that it fulfills with a value deeply equal to
+// `expected`. Resolves with the value.
+export async function resolvesTo(promise, expected, message) {
+  let value;
+  try {
+    value = await (typeof promise === "function" ? promise() : promise);
+  } catch (err) {
+    fail(
+      message ?? `Expected the promise to fulfill, but it rejected with ${describe(err)}`,
+      err,
+      expected,
+      "resolvesTo"
+    );
+  }
+  assert.deepEqual(value, expected, message);
+  return value;
+}
+
+const TIMED_OUT = Symbol("timed out");
+
+// Settles like check(), or fulfills with TIMED_OUT once `deadline` has passed
+async function attemptBefore(deadline, check) {
+  let timer;
+  let stopWaiting;
+  const timedOut = new Promise((resolve) => {
+    stopWaiting = () => resolve(TIMED_OUT);
+    timer = setTimeout(stopWaiting, Math.max(0, deadline - Date.now()));
+  });
+  try {
+    return await Promise.race([(async () => check())(), timedOut]);
+  } finally {
+    // Settles timedOut, so that the race doesn't keep waiting for it
+    clearTimeout(timer);
+    stopWaiting();
+  }
+}
+
+// Calls `check` (which may be async) until it stops throwing, waiting
+// `interval` ms between attempts. After `timeout` ms the last error is
+// rethrown, also when the current attempt hasn't settled yet (one that never
+// settles fails with its own AssertionError). Uses setTimeout(), so under the
+// fake clock the waiting is virtual.
+export async function eventually(check, { timeout = 1000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError;
+  for (;;) {
+    let outcome;
+    let failed = false;
+    try {
+      outcome = await attemptBefore(deadline, check);
+    } catch (err) {
+      lastError = err;
+      failed = true;
+    }
+    if (!failed && outcome !== TIMED_OUT) return outcome;
+    if (outcome === TIMED_OUT || Date.now() + interval > deadline) {
+      if (lastError === undefined) {
+        fail(`check() did not settle within ${timeout} ms`, undefined, undefined, "eventually");
+      }
+      if (lastError instanceof assert.AssertionError) {
+        lastError.message = `Still failing after ${timeout} ms: ${lastError.message}`;
+      }
+      throw lastError;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+// Floats: |actual - expected| <= tolerance. closeTo(0.1 + 0.2, 0.3) passes.
+export function closeTo(actual, expected, tolerance = 1e-9, message) {
+  if (typeof actual !== "number" || typeof expected !== "number") {
+    fail(message ?? `closeTo() compares numbers, got ${describe(actual)}`, actual, expected, "closeTo");
+  }
+  // Also covers Infinity === Infinity, where the difference is NaN
+  if (actual === expected || Math.abs(actual - expected) <= tolerance) return;
+  fail(
+    message ?? `${actual} is not within ${tolerance} of ${expected}`,
+    actual,
+    expected,
+    "closeTo"
+  );
+}
+
+// Records what console.log()/info()/warn()/error() print, one entry per call,
+// formatted like the console does. With `echo` the output is printed as well.
+//   const output = captureConsole();
+//   ...
+//   output.restore();
+//   logsInOrder(output.lines, ["START", "END"]);
+export function captureConsole({ echo = true } = {}) {
+  const lines = [];
+  const originals = {};
+  for (const name of ["log", "info", "warn", "error"]) {
+    originals[name] = console[name];
+    console[name] = function (...args) {
+      lines.push(format(...args));
+      if (echo) originals[name].apply(this, args);
+    };
+  }
+  return {
+    lines,
+    restore() {
+      Object.assign(console, originals);
+    },
+  };
+}
+
+// Checks that the `expected` lines (strings or RegExps) appear in `lines` in
+// this order. Other lines may come in between.
+export function logsInOrder(lines, expected, message) {
+  let position = 0;
+  for (const [index, wanted] of expected.entries()) {
+    const found = lines.findIndex(
+      (line, i) => i >= position &&
+        (wanted instanceof RegExp ? wanted.test(line) : line === wanted)
+    );
+    if (found === -1) {
+      const after = position > 0 ? ` after ${describe(lines[position - 1])}` : "";
+      fail(
+        message ??
+          `Expected line ${index + 1} (${describe(wanted)}) to be logged${after}.\nLogged:\n` +
+            lines.map((line) => `  ${line}`).join("\n"),
+        lines,
+        expected,
+        "logsInOrder"
+      );
+    }
+    position = found + 1;
+  }
+}
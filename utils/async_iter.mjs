@@ -0,0 +1,304 @@
+// Combinators for async iterables, the building blocks that
+// 42_asynchronous_iteration.mjs stops short of. Every source can be an async
+// iterable or a sync one (whose values may be Promises), and every function
+// returns an async generator.
+//
+// Leaving a `for await` loop early (break, return, throw) calls return() on the
+// combinator, which calls return() on the sources it is still reading, so
+// upstream async generators stop and run their `finally` blocks. Those return()
+// calls are not awaited: a source that is busy producing a value finishes that
+// step first, and the consumer shouldn't have to wait for it.
+//
+// Timers are looked up on globalThis when they are needed, so the functions
+// that wait (batch, debounce, throttle) follow utils/fake_clock.mjs when it is
+// installed.
+
+const TIMED_OUT = Symbol("timed out");
+
+function toAsyncIterator(source) {
+  if (typeof source?.[Symbol.asyncIterator] === "function") {
+    return source[Symbol.asyncIterator]();
+  }
+  if (typeof source?.[Symbol.iterator] === "function") {
+    return (async function* () {
+      yield* source;
+    })();
+  }
+  throw new TypeError(`Not iterable: ${String(source)}`);
+}
+
+// for-await-of and yield* want an iterable, and an async iterator needn't be one
+function iterableOf(source) {
+  const iterator = toAsyncIterator(source);
+  return { [Symbol.asyncIterator]: () => iterator };
+}
+
+function closeIterator(iterator) {
+  try {
+    // Nobody is waiting for the outcome, so it mustn't become an unhandled rejection
+    Promise.resolve(iterator.return?.()).catch(() => {});
+  } catch {
+    // A synchronous throw from return() is ignored for the same reason
+  }
+}
+
+// The result of `promise`, or TIMED_OUT if it takes longer than `ms`
+function withinTime(promise, ms) {
+  let timer;
+  let stopWaiting;
+  const timeout = new Promise((resolve) => {
+    stopWaiting = () => resolve(TIMED_OUT);
+    timer = globalThis.setTimeout(stopWaiting, Math.max(0, ms));
+  });
+  // Settling the timeout as well leaves no reaction waiting for it forever
+  return Promise.race([promise, timeout]).finally(() => {
+    globalThis.clearTimeout(timer);
+    stopWaiting();
+  });
+}
+
+function checkPositiveInteger(name, value) {
+  if (!(Number.isInteger(value) && value > 0) && value !== Infinity) {
+    throw new RangeError(`${name} must be a positive integer, got ${value}`);
+  }
+}
+
+// Values of all sources, each as soon as it arrives
+export async function* merge(...sources) {
+  const iterators = sources.map(toAsyncIterator);
+  // iterator -> Promise of its next result, tagged with the iterator
+  const pending = new Map();
+  const pull = (iterator) =>
+    pending.set(iterator, iterator.next().then((result) => ({ iterator, result })));
+  iterators.forEach(pull);
+  try {
+    while (pending.size > 0) {
+      const { iterator, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(iterator);
+        continue;
+      }
+      pull(iterator);
+      yield result.value;
+    }
+  } finally {
+    for (const iterator of pending.keys()) closeIterator(iterator);
+  }
+}
+
+// All values of the first source, then all of the second, ...
+export async function* concat(...sources) {
+  for (const source of sources) {
+    yield* iterableOf(source);
+  }
+}
+
+// Arrays with one value from each source, until the shortest one ends
+export async function* zip(...sources) {
+  const iterators = sources.map(toAsyncIterator);
+  const open = new Set(iterators);
+  try {
+    for (;;) {
+      const results = await Promise.all(iterators.map((iterator) => iterator.next()));
+      results.forEach((result, i) => {
+        if (result.done) open.delete(iterators[i]);
+      });
+      if (open.size < iterators.length) return;
+      yield results.map((result) => result.value);
+    }
+  } finally {
+    for (const iterator of open) closeIterator(iterator);
+  }
+}
+
+// fn(value, index) for up to `concurrency` values at a time. With
+// `ordered: true` (the default) results come out in the order of the source,
+// otherwise as soon as they are ready. The first error ends the iteration.
+export async function* mapConcurrent(source, fn, { concurrency = 1, ordered = true } = {}) {
+  checkPositiveInteger("concurrency", concurrency);
+  const iterator = toAsyncIterator(source);
+  // index -> Promise of { index, ok, value | error }; settled ones stay until
+  // they are yielded, so they count against the limit
+  const running = new Map();
+  let sourceDone = false;
+  let nextIndex = 0;
+  let nextToYield = 0;
+  try {
+    for (;;) {
+      while (!sourceDone && running.size < concurrency) {
+        const result = await iterator.next();
+        if (result.done) {
+          sourceDone = true;
+          break;
+        }
+        const index = nextIndex++;
+        running.set(
+          index,
+          Promise.resolve()
+            .then(() => fn(result.value, index))
+            .then(
+              (value) => ({ index, ok: true, value }),
+              (error) => ({ index, ok: false, error })
+            )
+        );
+      }
+      if (running.size === 0) return;
+      const outcome = ordered
+        ? await running.get(nextToYield++)
+        : await Promise.race(running.values());
+      running.delete(outcome.index);
+      if (!outcome.ok) throw outcome.error;
+      yield outcome.value;
+    }
+  } finally {
+    if (!sourceDone) closeIterator(iterator);
+  }
+}
+
+// Reads up to `size` values ahead of the consumer, so a fast source doesn't
+// have to wait for a slow loop body (and vice versa)
+export async function* buffer(source, size) {
+  checkPositiveInteger("size", size);
+  const iterator = toAsyncIterator(source);
+  const queue = []; // { result } or { error }
+  let wakeConsumer;
+  let wakeProducer;
+  let stopped = false;
+  let sourceDone = false;
+
+  const push = (item) => {
+    queue.push(item);
+    wakeConsumer?.();
+    wakeConsumer = undefined;
+  };
+  (async () => {
+    try {
+      while (!stopped) {
+        if (queue.length >= size) {
+          await new Promise((resolve) => (wakeProducer = resolve));
+          continue;
+        }
+        const result = await iterator.next();
+        push({ result });
+        if (result.done) return;
+      }
+    } catch (error) {
+      push({ error });
+    }
+  })();
+
+  try {
+    for (;;) {
+      if (queue.length === 0) await new Promise((resolve) => (wakeConsumer = resolve));
+      const item = queue.shift();
+      wakeProducer?.();
+      wakeProducer = undefined;
+      if ("error" in item) {
+        sourceDone = true;
+        throw item.error;
+      }
+      if (item.result.done) {
+        sourceDone = true;
+        return;
+      }
+      yield item.result.value;
+    }
+  } finally {
+    stopped = true;
+    wakeProducer?.();
+    if (!sourceDone) closeIterator(iterator);
+  }
+}
+
+// Arrays of values: one is emitted when it has `size` values or when `time` ms
+// have passed since its first value, whichever comes first. At least one of
+// the two must be given.
+export async function* batch(source, { size = Infinity, time } = {}) {
+  checkPositiveInteger("size", size);
+  if (size === Infinity && time === undefined) {
+    throw new TypeError("batch() needs a size, a time or both");
+  }
+  const iterator = toAsyncIterator(source);
+  let current = [];
+  let deadline;
+  let nextResult; // Promise of the next result, kept across timeouts
+  let sourceDone = false;
+  try {
+    for (;;) {
+      nextResult ??= iterator.next();
+      const result =
+        current.length > 0 && time !== undefined
+          ? await withinTime(nextResult, deadline - Date.now())
+          : await nextResult;
+      if (result === TIMED_OUT) {
+        yield current;
+        current = [];
+        continue;
+      }
+      nextResult = undefined;
+      if (result.done) {
+        sourceDone = true;
+        break;
+      }
+      if (current.length === 0 && time !== undefined) deadline = Date.now() + time;
+      current.push(result.value);
+      if (current.length === size) {
+        yield current;
+        current = [];
+      }
+    }
+    if (current.length > 0) yield current;
+  } finally {
+    if (!sourceDone) closeIterator(iterator);
+  }
+}
+
+// A value only once the source has been quiet for `ms` ms after it; values
+// that are followed sooner by another one are dropped. The last value is
+// emitted when the source ends.
+export async function* debounce(source, ms) {
+  const iterator = toAsyncIterator(source);
+  let latest;
+  let hasLatest = false;
+  let nextResult;
+  let sourceDone = false;
+  try {
+    for (;;) {
+      nextResult ??= iterator.next();
+      const result = hasLatest ? await withinTime(nextResult, ms) : await nextResult;
+      if (result === TIMED_OUT) {
+        hasLatest = false;
+        yield latest;
+        continue;
+      }
+      nextResult = undefined;
+      if (result.done) {
+        sourceDone = true;
+        break;
+      }
+      latest = result.value;
+      hasLatest = true;
+    }
+    if (hasLatest) yield latest;
+  } finally {
+    if (!sourceDone) closeIterator(iterator);
+  }
+}
+
+// The first value, then nothing until `ms` ms have passed since the last
+// emitted value (values in between are dropped)
+export async function* throttle(source, ms) {
+  let lastEmitted;
+  for await (const value of iterableOf(source)) {
+    const now = Date.now();
+    if (lastEmitted !== undefined && now - lastEmitted < ms) continue;
+    lastEmitted = now;
+    yield value;
+  }
+}
+
+export async function toArray(source) {
+  const values = [];
+  for await (const value of iterableOf(source)) values.push(value);
+  return values;
+}
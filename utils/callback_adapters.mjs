@@ -0,0 +1,83 @@
+// Converts between the two styles of asynchronous functions in 39–41:
+// Node.js-style callbacks, whose last parameter is called with (err, result),
+// and functions that return Promises.
+//
+//   const divide = promisify(divideCallback);    // divide(12, 3) -> Promise
+//   const divideCb = callbackify(dividePromise); // divideCb(12, 3, (err, r) => ...)
+//
+// Both keep `this`, so they also work for methods:
+//   obj.readAsync = promisify(obj.read); obj.readAsync() calls read with this === obj
+
+// The same registered symbol as util.promisify.custom of Node.js: a function
+// can provide its own Promise-based version under this key
+export const custom = Symbol.for("nodejs.util.promisify.custom");
+
+// The callback of fn is called with an error (anything truthy) or with
+// (null, value1, value2, ...). With `multiArgs: true` the Promise fulfills
+// with [value1, value2, ...], with `multiArgs: ["a", "b"]` with
+// { a: value1, b: value2 }, otherwise with value1.
+export function promisify(fn, { multiArgs = false } = {}) {
+  if (typeof fn !== "function") {
+    throw new TypeError("promisify() expects a function");
+  }
+  if (typeof fn[custom] === "function") return fn[custom];
+
+  function toResult(values) {
+    if (multiArgs === true) return values;
+    if (Array.isArray(multiArgs)) {
+      return Object.fromEntries(multiArgs.map((name, i) => [name, values[i]]));
+    }
+    return values[0];
+  }
+
+  const promisified = function (...args) {
+    return new Promise((resolve, reject) => {
+      fn.call(this, ...args, (err, ...values) => {
+        if (err) reject(err);
+        else resolve(toResult(values));
+      });
+    });
+  };
+  Object.defineProperty(promisified, "name", { value: `${fn.name}Promisified` });
+  return promisified;
+}
+
+// A callback can't tell a rejection with a falsy reason (null, 0, "") from
+// success, so such reasons are wrapped, like util.callbackify() does
+function toCallbackError(reason) {
+  if (reason) return reason;
+  const error = new Error("Promise was rejected with a falsy value");
+  error.reason = reason;
+  return error;
+}
+
+// The last argument of the returned function is the callback. It is always
+// called asynchronously, outside the Promise chain, so an exception thrown
+// by the callback isn't turned into a rejection. With `multiArgs: true` a
+// fulfillment value that is an Array is spread into (null, ...values).
+export function callbackify(fn, { multiArgs = false } = {}) {
+  if (typeof fn !== "function") {
+    throw new TypeError("callbackify() expects a function");
+  }
+  const callbackified = function (...args) {
+    const callback = args.pop();
+    if (typeof callback !== "function") {
+      throw new TypeError("The last argument must be a callback function");
+    }
+    let promise;
+    try {
+      promise = Promise.resolve(fn.apply(this, args));
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+    promise.then(
+      (value) => {
+        const values = multiArgs && Array.isArray(value) ? value : [value];
+        queueMicrotask(() => callback(null, ...values));
+      },
+      (reason) => queueMicrotask(() => callback(toCallbackError(reason)))
+    );
+  };
+  Object.defineProperty(callbackified, "name", { value: `${fn.name}Callbackified` });
+  return callbackified;
+}
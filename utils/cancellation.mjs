@@ -0,0 +1,157 @@
+// Cancellation with AbortController/AbortSignal for the async examples of
+// 39–42. Started work can't be stopped from the outside, so these helpers are
+// cooperative: the function doing the work takes a signal and gives up when
+// it is aborted.
+//
+// Whatever is cancelled rejects with the signal's reason. For
+// controller.abort() without an argument that is a DOMException named
+// "AbortError" (check with isAbortError()).
+//
+//   const controller = new AbortController();
+//   delay(1000, "done", { signal: controller.signal }); // rejects, timer cleared
+//   controller.abort();
+//
+// Timers are looked up on globalThis when they are needed, so delay() follows
+// utils/fake_clock.mjs when it is installed.
+
+export function abortError(message = "This operation was aborted") {
+  return new DOMException(message, "AbortError");
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function reasonOf(signal) {
+  return signal.reason ?? abortError();
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw reasonOf(signal);
+}
+
+// Calls onAbort once `signal` aborts; the returned function stops listening
+function onAbort(signal, listener) {
+  if (signal === undefined) return () => {};
+  signal.addEventListener("abort", listener, { once: true });
+  return () => signal.removeEventListener("abort", listener);
+}
+
+// A controller that is also aborted when `parent` is. dispose() stops
+// listening to the parent, so finished work doesn't keep listeners around.
+export function createChildController(parent) {
+  const controller = new AbortController();
+  if (parent?.aborted) {
+    controller.abort(reasonOf(parent));
+    return { controller, dispose: () => {} };
+  }
+  const dispose = onAbort(parent, () => controller.abort(reasonOf(parent)));
+  return { controller, dispose };
+}
+
+// Settles like `promise`, or rejects as soon as `signal` aborts. The work
+// behind `promise` isn't stopped; pass the signal to it for that.
+export function abortable(promise, signal) {
+  if (signal === undefined) return Promise.resolve(promise);
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const stopListening = onAbort(signal, () => reject(reasonOf(signal)));
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(stopListening);
+  });
+}
+
+// Fulfills with `value` after `ms` milliseconds. Aborting clears the timer.
+export function delay(ms, value, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const stopListening = onAbort(signal, () => {
+      globalThis.clearTimeout(timer);
+      reject(reasonOf(signal));
+    });
+    const timer = globalThis.setTimeout(() => {
+      stopListening();
+      resolve(value);
+    }, ms);
+  });
+}
+
+// Each task is a function that receives an AbortSignal and returns a Promise.
+// Every task gets its own signal (aborted as well when options.signal is), so
+// the ones that lose can be cancelled once the result is known.
+function startTasks(tasks, signal) {
+  return Array.from(tasks, (task) => {
+    const { controller, dispose } = createChildController(signal);
+    let promise;
+    try {
+      promise = Promise.resolve(task(controller.signal));
+    } catch (error) {
+      promise = Promise.reject(error);
+    }
+    const entry = { controller, settled: false };
+    entry.promise = promise.finally(() => {
+      entry.settled = true;
+      dispose();
+    });
+    return entry;
+  });
+}
+
+// Tasks that already settled are left alone
+function cancelPending(started, reason) {
+  for (const { controller, settled } of started) {
+    if (!settled) controller.abort(reason);
+  }
+}
+
+// Like Promise.race(): settles like the first task that settles, then aborts
+// the others
+export async function race(tasks, { signal } = {}) {
+  throwIfAborted(signal);
+  const started = startTasks(tasks, signal);
+  try {
+    return await abortable(Promise.race(started.map(({ promise }) => promise)), signal);
+  } finally {
+    cancelPending(started, abortError("Lost the race"));
+  }
+}
+
+// Like Promise.any(): fulfills with the first task that fulfills, then aborts
+// the others. Rejects with an AggregateError if they all reject.
+export async function any(tasks, { signal } = {}) {
+  throwIfAborted(signal);
+  const started = startTasks(tasks, signal);
+  try {
+    return await abortable(Promise.any(started.map(({ promise }) => promise)), signal);
+  } finally {
+    cancelPending(started, abortError("Another task fulfilled first"));
+  }
+}
+
+// The values of `source` until `signal` aborts. A pending next() then rejects
+// with the abort reason, and the source is closed with return(), so an async
+// generator runs its `finally` blocks.
+export async function* abortableIterable(source, signal) {
+  const iterator =
+    typeof source[Symbol.asyncIterator] === "function"
+      ? source[Symbol.asyncIterator]()
+      : source[Symbol.iterator]();
+  let sourceDone = false;
+  try {
+    for (;;) {
+      const result = await abortable(iterator.next(), signal);
+      if (result.done) {
+        sourceDone = true;
+        return;
+      }
+      yield result.value;
+      throwIfAborted(signal);
+    }
+  } finally {
+    if (!sourceDone) {
+      // Not awaited: the source may still be busy with the next() we gave up on
+      Promise.resolve(iterator.return?.()).catch(() => {});
+    }
+  }
+}
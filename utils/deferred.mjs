@@ -0,0 +1,120 @@
+// A Promise whose resolve() and reject() can be called from outside the
+// executor, and whose state can be read synchronously.
+//
+//   const deferred = new Deferred();
+//   deferred.state;     // "pending"
+//   deferred.resolve(123);
+//   deferred.state;     // "fulfilled"
+//   deferred.value;     // 123
+//   await deferred.promise;
+//
+// watch(promise) gives the same read-only view of any Promise. JavaScript has no
+// way to ask a Promise for its state, so the view learns it from .then()
+// reactions: a watched Promise still reads "pending" until they run, one
+// microtask after it settles. Those reactions also handle a rejection, so a
+// watched Promise never reports an unhandled rejection.
+
+const views = new WeakMap(); // Promise -> its PromiseView
+let settleView; // (view, state, result), lets Deferred update a view right away
+
+class PromiseView {
+  #state = "pending";
+  #value;
+  #reason;
+
+  constructor(promise) {
+    this.promise = promise;
+    promise.then(
+      (value) => this.#settle("fulfilled", value),
+      (reason) => this.#settle("rejected", reason)
+    );
+  }
+
+  static {
+    settleView = (view, state, result) => view.#settle(state, result);
+  }
+
+  #settle(state, result) {
+    if (this.#state !== "pending") return;
+    this.#state = state;
+    if (state === "fulfilled") this.#value = result;
+    else this.#reason = result;
+  }
+
+  get state() {
+    return this.#state;
+  }
+  get settled() {
+    return this.#state !== "pending";
+  }
+  // The fulfillment value (undefined unless fulfilled)
+  get value() {
+    return this.#value;
+  }
+  // The rejection reason (undefined unless rejected)
+  get reason() {
+    return this.#reason;
+  }
+}
+
+export function watch(promise) {
+  if (!(promise instanceof Promise)) promise = Promise.resolve(promise);
+  if (!views.has(promise)) views.set(promise, new PromiseView(promise));
+  return views.get(promise);
+}
+
+function isThenable(value) {
+  return (
+    (typeof value === "object" || typeof value === "function") &&
+    value !== null &&
+    typeof value.then === "function"
+  );
+}
+
+export class Deferred {
+  #view;
+  #resolvePromise;
+  #rejectPromise;
+  #locked = false;
+
+  constructor() {
+    this.promise = new Promise((resolve, reject) => {
+      this.#resolvePromise = resolve;
+      this.#rejectPromise = reject;
+    });
+    this.#view = watch(this.promise);
+    // So that they can be passed around as callbacks
+    this.resolve = this.resolve.bind(this);
+    this.reject = this.reject.bind(this);
+  }
+
+  // Like the resolve() of an executor: only the first call of resolve() or
+  // reject() counts. Resolving with a Promise (or another thenable) follows it,
+  // and the state stays "pending" until it settles.
+  resolve(value) {
+    if (this.#locked) return;
+    this.#locked = true;
+    this.#resolvePromise(value);
+    if (!isThenable(value)) settleView(this.#view, "fulfilled", value);
+  }
+
+  reject(reason) {
+    if (this.#locked) return;
+    this.#locked = true;
+    this.#rejectPromise(reason);
+    settleView(this.#view, "rejected", reason);
+  }
+
+  get state() {
+    return this.#view.state;
+  }
+  get settled() {
+    return this.#view.settled;
+  }
+  get value() {
+    return this.#view.value;
+  }
+  get reason() {
+    return this.#view.reason;
+  }
+}
@@ -0,0 +1,142 @@
+// The "library for objects-as-dictionaries that does everything safely" that
+// 28_single_objects.mjs recommends. A Dict maps strings to values, and every
+// string is just data: "__proto__", "constructor", "toString" and
+// "hasOwnProperty" are keys like any other, and nothing is inherited.
+//
+//   const dict = new Dict();
+//   dict.has("toString");    // false
+//   dict.set("__proto__", 123);
+//   dict.get("__proto__");   // 123
+//
+// The entries are kept in a Map, so the keys stay in insertion order. A Dict
+// converts to JSON as an object and Dict.fromJSON() reads such an object back;
+// values are stored as they are, nested objects don't become Dicts.
+
+function checkKey(key) {
+  if (typeof key !== "string") {
+    throw new TypeError(`Dict keys must be strings, got ${typeof key}`);
+  }
+  return key;
+}
+
+// A null-prototype object; defineProperty keeps "__proto__" an ordinary key
+function toObject(entries) {
+  const object = Object.create(null);
+  for (const [key, value] of entries) {
+    Object.defineProperty(object, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+  return object;
+}
+
+export class Dict {
+  #map = new Map();
+
+  // entries: an iterable of [key, value] pairs
+  constructor(entries = []) {
+    for (const [key, value] of entries) this.set(key, value);
+  }
+
+  // Own enumerable string keys of `object`, including an own "__proto__"
+  // (which JSON.parse() creates)
+  static fromObject(object) {
+    return new Dict(Object.entries(object));
+  }
+
+  static fromJSON(text) {
+    const parsed = JSON.parse(text);
+    if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new TypeError("The JSON text must contain an object");
+    }
+    return Dict.fromObject(parsed);
+  }
+
+  get size() {
+    return this.#map.size;
+  }
+  has(key) {
+    return this.#map.has(checkKey(key));
+  }
+  get(key) {
+    return this.#map.get(checkKey(key));
+  }
+  set(key, value) {
+    this.#map.set(checkKey(key), value);
+    return this;
+  }
+  delete(key) {
+    return this.#map.delete(checkKey(key));
+  }
+  clear() {
+    this.#map.clear();
+  }
+  keys() {
+    return this.#map.keys();
+  }
+  values() {
+    return this.#map.values();
+  }
+  entries() {
+    return this.#map.entries();
+  }
+  [Symbol.iterator]() {
+    return this.#map.entries();
+  }
+
+  // A copy as an object without a prototype
+  toObject() {
+    return toObject(this.#map);
+  }
+  // Used by JSON.stringify()
+  toJSON() {
+    return this.toObject();
+  }
+
+  // A live, frozen view: it sees later changes to this Dict but has no
+  // methods to make any
+  readOnly() {
+    return new ReadOnlyDict(this);
+  }
+}
+
+class ReadOnlyDict {
+  #dict;
+
+  constructor(dict) {
+    this.#dict = dict;
+    Object.freeze(this);
+  }
+
+  get size() {
+    return this.#dict.size;
+  }
+  has(key) {
+    return this.#dict.has(key);
+  }
+  get(key) {
+    return this.#dict.get(key);
+  }
+  keys() {
+    return this.#dict.keys();
+  }
+  values() {
+    return this.#dict.values();
+  }
+  entries() {
+    return this.#dict.entries();
+  }
+  [Symbol.iterator]() {
+    return this.#dict.entries();
+  }
+  toObject() {
+    return this.#dict.toObject();
+  }
+  toJSON() {
+    return this.#dict.toJSON();
+  }
+}
+Object.freeze(ReadOnlyDict.prototype);
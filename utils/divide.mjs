@@ -0,0 +1,41 @@
+// The division that main() in 39_asynchronous_programming.mjs uses to compare
+// the three styles of delivering a result:
+// -> divideSync(x, y): returns the result or throws
+// -> divideCallback(x, y, callback): calls callback(err) or callback(null, result)
+// -> dividePromise(x, y): returns a Promise
+//
+// All three fail the same way: a TypeError if x or y isn't a number and a
+// RangeError for a division by zero. The asynchronous ones never throw for bad
+// arguments; the error is delivered like a result.
+
+export function divideSync(x, y) {
+  if (typeof x !== "number" || typeof y !== "number") {
+    throw new TypeError(`Expected two numbers, got ${typeof x} and ${typeof y}`);
+  }
+  if (y === 0) {
+    throw new RangeError("Cannot divide by zero");
+  }
+  return x / y;
+}
+
+export function divideCallback(x, y, callback) {
+  if (typeof callback !== "function") {
+    throw new TypeError("The last argument must be a callback function");
+  }
+  // The callback is always called asynchronously, for errors too
+  queueMicrotask(() => {
+    let result;
+    try {
+      result = divideSync(x, y);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback(null, result);
+  });
+}
+
+export function dividePromise(x, y) {
+  // An exception in the executor rejects the Promise
+  return new Promise((resolve) => resolve(divideSync(x, y)));
+}
@@ -0,0 +1,113 @@
+// Built-in error messages differ between JavaScript engines and between versions
+// of the same engine (V8 changed "Cannot read property 'x' of undefined" to
+// "Cannot read properties of undefined (reading 'x')" in Node.js 16.9).
+// Instead of pinning one wording, chapters name the kind of error they expect
+// and any message variant from this catalogue is accepted.
+import assert from "assert-strict";
+
+// Each kind has the error class name and the known messages. Named groups in a
+// variant capture the details (property, identifier, ...) a chapter can check.
+export const ERROR_KINDS = {
+  // Reading a property of undefined or null
+  propertyOfNullish: {
+    name: "TypeError",
+    variants: [
+      // V8 >= 9.3 (Node.js >= 16.9)
+      /^Cannot read properties of (?<value>undefined|null) \(reading '(?<property>[^']*)'\)$/,
+      // V8 < 9.3
+      /^Cannot read property '(?<property>[^']*)' of (?<value>undefined|null)$/,
+      // SpiderMonkey
+      /^can't access property "(?<property>[^"]*)", .+ is (?<value>undefined|null)$/,
+      // JavaScriptCore
+      /^(?<value>undefined|null) is not an object \(evaluating '.*'\)$/,
+    ],
+  },
+  // Assigning to a const variable
+  constAssignment: {
+    name: "TypeError",
+    variants: [
+      /^Assignment to constant variable\.$/,
+      /^invalid assignment to const '?(?<identifier>[^']+)'?$/,
+      /^Attempted to assign to readonly property\.$/,
+    ],
+  },
+  // Declaring the same let/const/class twice in one scope
+  duplicateDeclaration: {
+    name: "SyntaxError",
+    variants: [
+      /^Identifier '(?<identifier>[^']+)' has already been declared$/,
+      /^redeclaration of (?:let|const|class) (?<identifier>.+)$/,
+      /^Cannot declare a (?:let|const|class) variable twice: '(?<identifier>[^']+)'\.$/,
+    ],
+  },
+  // Writing a non-writable property (e.g. of a frozen object) in strict mode
+  readOnlyAssignment: {
+    name: "TypeError",
+    variants: [
+      /^Cannot assign to read only property '(?<property>[^']+)' of .+$/,
+      /^"(?<property>[^"]+)" is read-only$/,
+      /^Attempted to assign to readonly property\.$/,
+    ],
+  },
+  // A failed assert.«method»(actual, expected, message) with our own message
+  customAssertionMessage: {
+    name: "AssertionError",
+    variants: [
+      // Node.js < 20: just the message
+      /^(?<message>[^\n]*)$/,
+      // Node.js >= 20 appends the comparison, e.g. "\n\n3 !== 8\n"
+      /^(?<message>[^\n]*)\n\n(?<comparison>[^]+)\n$/,
+    ],
+  },
+};
+
+function getKind(kind) {
+  const entry = ERROR_KINDS[kind];
+  if (entry === undefined) {
+    throw new RangeError(`Unknown error kind: ${kind}`);
+  }
+  return entry;
+}
+
+// Returns the details captured from `error` if it is an error of `kind` and
+// matches `details`, null otherwise. A detail that the matching variant does
+// not capture (some engines leave the property name out) is not checked.
+export function matchErrorKind(error, kind, details = {}) {
+  const { name, variants } = getKind(kind);
+  if (!(error instanceof Error) || error.name !== name) return null;
+  for (const variant of variants) {
+    const match = variant.exec(error.message);
+    if (match === null) continue;
+    const captured = { ...match.groups };
+    const agrees = Object.entries(details).every(
+      ([key, value]) => captured[key] === undefined || captured[key] === value
+    );
+    if (agrees) return captured;
+  }
+  return null;
+}
+
+// Like assert.throws(), but accepts any known wording of the error kind.
+export function assertThrowsKind(fn, kind, details = {}, message) {
+  const { name } = getKind(kind);
+  const wanted = `${name} (${kind}${Object.keys(details).length > 0
+    ? ` ${JSON.stringify(details)}`
+    : ""})`;
+  try {
+    fn();
+  } catch (error) {
+    if (matchErrorKind(error, kind, details) !== null) return;
+    throw new assert.AssertionError({
+      message: message ?? `Expected ${wanted}, got: ${String(error)}`,
+      actual: error,
+      expected: wanted,
+      operator: "throws",
+    });
+  }
+  throw new assert.AssertionError({
+    message: message ?? `Missing expected exception: ${wanted}`,
+    actual: undefined,
+    expected: wanted,
+    operator: "throws",
+  });
+}
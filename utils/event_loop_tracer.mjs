@@ -0,0 +1,103 @@
+// Records which queue of the event loop each step of an example ran from, so a
+// chapter can assert the interleaving it describes ("start synchronously,
+// settle asynchronously") instead of only printing it.
+//
+//   const trace = createEventLoopTracer();
+//   trace.log("START");                               // prints "START" too
+//   Promise.resolve().then(() => trace.log(".then()"));
+//   ...
+//   trace.assertOrder([["sync", "START"], ["microtask", ".then()"]]);
+//
+// Queues: "sync" (the task that created the tracer), "microtask" (Promise
+// reactions, await, queueMicrotask()), "nextTick", "timer" (setTimeout(),
+// setInterval()), "immediate" (setImmediate()) and "io" (everything else).
+// Create the tracer before the code it traces: the queue of a callback is known
+// from the async resource that scheduled it.
+import assert from "assert-strict";
+import { createHook, executionAsyncId, executionAsyncResource } from "async_hooks";
+
+const QUEUES_BY_TYPE = {
+  PROMISE: "microtask",
+  Microtask: "microtask",
+  TickObject: "nextTick",
+  Timeout: "timer",
+  Immediate: "immediate",
+};
+
+const QUEUES_BY_CONSTRUCTOR = {
+  Promise: "microtask",
+  Timeout: "timer",
+  Immediate: "immediate",
+};
+
+function formatTimeline(expected, actual) {
+  const format = (step) => (step ? `${step[0].padEnd(10)} ${step[1]}` : "(none)");
+  const rows = [];
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    rows.push([String(i + 1), format(expected[i]), format(actual[i])]);
+  }
+  const width = Math.max("expected".length, ...rows.map((row) => row[1].length));
+  const lines = [`  #  ${"expected".padEnd(width)}    actual`];
+  for (const [index, left, right] of rows) {
+    const mark = left === right ? "   " : " ≠ ";
+    lines.push(`${index.padStart(3)}  ${left.padEnd(width)}${mark} ${right}`);
+  }
+  return lines.join("\n");
+}
+
+export function createEventLoopTracer({ print = true } = {}) {
+  const types = new Map(); // asyncId -> async resource type
+  const hook = createHook({
+    init(asyncId, type) {
+      types.set(asyncId, type);
+    },
+    destroy(asyncId) {
+      types.delete(asyncId);
+    },
+  }).enable();
+  const originId = executionAsyncId();
+  const steps = []; // [queue, label]
+
+  function currentQueue() {
+    const asyncId = executionAsyncId();
+    if (asyncId === originId) return "sync";
+    const type = types.get(asyncId);
+    if (type !== undefined) return QUEUES_BY_TYPE[type] ?? "io";
+    // Resource created before the tracer
+    const constructorName = executionAsyncResource()?.constructor?.name;
+    return QUEUES_BY_CONSTRUCTOR[constructorName] ?? "io";
+  }
+
+  return {
+    // Records `label` with the queue we are running from (and prints it)
+    log(label) {
+      steps.push([currentQueue(), label]);
+      if (print) console.log(label);
+    },
+
+    // The steps recorded so far, as [queue, label] pairs
+    get steps() {
+      return steps.map((step) => [...step]);
+    },
+
+    // Fails with a side-by-side timeline unless exactly `expected` was recorded
+    assertOrder(expected, message) {
+      const actual = this.steps;
+      const same =
+        actual.length === expected.length &&
+        actual.every((step, i) => step[0] === expected[i][0] && step[1] === expected[i][1]);
+      if (same) return;
+      throw new assert.AssertionError({
+        message: `${message ?? "Unexpected event loop order"}:\n${formatTimeline(expected, actual)}`,
+        actual,
+        expected,
+        operator: "assertOrder",
+      });
+    },
+
+    // Stops recording which queue new async resources belong to
+    stop() {
+      hook.disable();
+    },
+  };
+}
@@ -0,0 +1,270 @@
+// A tagged JSON encoding for the values plain JSON loses: undefined, NaN,
+// ±Infinity, -0, bigints, registered symbols, Maps (with any keys), Sets, Dates
+// and RegExps, plus objects that are shared or circular.
+//
+// The output is ordinary JSON:
+//   {"format":"extended-json","version":1,"value":...}
+// -> strings, booleans, null, finite numbers, Arrays and plain objects are
+//    written as they are
+// -> other values become tagged objects: {"$":"Map","value":[[key,value],...]}
+// -> an object seen before becomes {"$":"ref","value":n}, n being its position
+//    in the order objects are first reached (depth first)
+// -> plain objects that have a "$" key of their own are wrapped as
+//    {"$":"Object","value":{...}}, so they can't be mistaken for tags
+// -> holes in Arrays come back as undefined elements
+//
+// Like the replacer/reviver pair of 18_bigints.mjs, but as a registry: each type
+// has a test() and an encode() into something encodable, plus either
+// decode(payload) or, for containers that may be part of a cycle,
+// create() + populate(instance, payload).
+
+export const FORMAT = "extended-json";
+export const VERSION = 1;
+
+// Tags that are handled by the codec itself and can't be registered
+const RESERVED_TAGS = ["ref", "Object", "undefined", "number", "bigint", "symbol"];
+
+const BUILT_IN_TYPES = [
+  [
+    "Map",
+    {
+      test: (value) => value instanceof Map,
+      encode: (map) => Array.from(map),
+      create: () => new Map(),
+      populate: (map, entries) => {
+        for (const [key, value] of entries) map.set(key, value);
+      },
+    },
+  ],
+  [
+    "Set",
+    {
+      test: (value) => value instanceof Set,
+      encode: (set) => Array.from(set),
+      create: () => new Set(),
+      populate: (set, elements) => {
+        for (const element of elements) set.add(element);
+      },
+    },
+  ],
+  [
+    "Date",
+    {
+      test: (value) => value instanceof Date,
+      encode: (date) => date.getTime(), // NaN for invalid dates
+      decode: (time) => new Date(time),
+    },
+  ],
+  [
+    "RegExp",
+    {
+      test: (value) => value instanceof RegExp,
+      encode: ({ source, flags }) => ({ source, flags }),
+      decode: ({ source, flags }) => new RegExp(source, flags),
+    },
+  ],
+];
+
+function encodeNumber(number) {
+  if (Object.is(number, -0)) return { $: "number", value: "-0" };
+  if (!Number.isFinite(number)) return { $: "number", value: String(number) };
+  return number;
+}
+
+function decodeNumber(text) {
+  switch (text) {
+    case "-0": return -0;
+    case "NaN": return NaN;
+    case "Infinity": return Infinity;
+    case "-Infinity": return -Infinity;
+    default: throw new TypeError(`Unknown number: ${text}`);
+  }
+}
+
+function defineProperty(object, key, value) {
+  // Plain assignment would turn a "__proto__" key into the prototype
+  Object.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+function typeName(value) {
+  return Object.getPrototypeOf(value)?.constructor?.name ?? "object";
+}
+
+export function createCodec() {
+  // Registered types are tried before the built-in ones
+  const types = new Map();
+
+  function register(name, type) {
+    if (RESERVED_TAGS.includes(name) || types.has(name)) {
+      throw new TypeError(`Type name already in use: ${name}`);
+    }
+    if (typeof type.test !== "function" || typeof type.encode !== "function") {
+      throw new TypeError(`Type ${name} needs test() and encode()`);
+    }
+    const canDecode =
+      typeof type.decode === "function" ||
+      (typeof type.create === "function" && typeof type.populate === "function");
+    if (!canDecode) {
+      throw new TypeError(`Type ${name} needs decode() or create() and populate()`);
+    }
+    types.set(name, type);
+    return codec;
+  }
+
+  function* allTypes() {
+    yield* types;
+    yield* BUILT_IN_TYPES;
+  }
+
+  function findType(name) {
+    if (types.has(name)) return types.get(name);
+    return BUILT_IN_TYPES.find(([builtInName]) => builtInName === name)?.[1];
+  }
+
+  function encode(root) {
+    const seen = new Map(); // object -> position
+
+    function encodeObject(object) {
+      const encoded = {};
+      for (const key of Object.keys(object)) {
+        defineProperty(encoded, key, encodeValue(object[key]));
+      }
+      const needsWrapper = Object.getPrototypeOf(object) === null || Object.hasOwn(object, "$");
+      if (!needsWrapper) return encoded;
+      return Object.getPrototypeOf(object) === null
+        ? { $: "Object", nullPrototype: true, value: encoded }
+        : { $: "Object", value: encoded };
+    }
+
+    function encodeValue(value) {
+      switch (typeof value) {
+        case "undefined":
+          return { $: "undefined" };
+        case "number":
+          return encodeNumber(value);
+        case "bigint":
+          return { $: "bigint", value: String(value) };
+        case "symbol": {
+          const key = Symbol.keyFor(value);
+          if (key === undefined) {
+            throw new TypeError(`Only registered symbols can be encoded: ${String(value)}`);
+          }
+          return { $: "symbol", value: key };
+        }
+        case "function":
+          throw new TypeError(`Functions can't be encoded: ${value.name || "anonymous"}`);
+        case "string":
+        case "boolean":
+          return value;
+      }
+      if (value === null) return null;
+      if (seen.has(value)) return { $: "ref", value: seen.get(value) };
+      seen.set(value, seen.size);
+
+      if (Array.isArray(value)) return Array.from(value, encodeValue);
+      const proto = Object.getPrototypeOf(value);
+      if (proto === Object.prototype || proto === null) return encodeObject(value);
+      for (const [name, type] of allTypes()) {
+        if (type.test(value)) return { $: name, value: encodeValue(type.encode(value)) };
+      }
+      throw new TypeError(`No type registered for ${typeName(value)}`);
+    }
+
+    return encodeValue(root);
+  }
+
+  function decode(root) {
+    const objects = []; // position -> object, undefined while still being decoded
+
+    function reserve() {
+      objects.push(undefined);
+      return objects.length - 1;
+    }
+
+    function decodeEntries(raw, target) {
+      for (const key of Object.keys(raw)) {
+        defineProperty(target, key, decodeValue(raw[key]));
+      }
+      return target;
+    }
+
+    function decodeTagged(raw) {
+      switch (raw.$) {
+        case "undefined": return undefined;
+        case "number": return decodeNumber(raw.value);
+        case "bigint": return BigInt(raw.value);
+        case "symbol": return Symbol.for(raw.value);
+        case "ref": {
+          // Only a position of an object decoded so far, never a property of
+          // the Array (like "length" or "__proto__")
+          const known = Number.isInteger(raw.value) && raw.value >= 0 && raw.value < objects.length;
+          if (!known) throw new TypeError(`Unknown reference: ${String(raw.value)}`);
+          if (objects[raw.value] === undefined) {
+            throw new TypeError(`Reference ${raw.value} points into a value that is still being decoded`);
+          }
+          return objects[raw.value];
+        }
+        case "Object": {
+          const object = raw.nullPrototype ? Object.create(null) : {};
+          objects.push(object);
+          return decodeEntries(raw.value, object);
+        }
+      }
+      const type = findType(raw.$);
+      if (type === undefined) throw new TypeError(`No type registered for tag ${raw.$}`);
+      const position = reserve();
+      if (typeof type.create === "function") {
+        const instance = type.create();
+        objects[position] = instance;
+        type.populate(instance, decodeValue(raw.value));
+        return instance;
+      }
+      objects[position] = type.decode(decodeValue(raw.value));
+      return objects[position];
+    }
+
+    function decodeValue(raw) {
+      if (raw === null || typeof raw !== "object") return raw;
+      if (Array.isArray(raw)) {
+        const array = [];
+        objects.push(array);
+        for (const element of raw) array.push(decodeValue(element));
+        return array;
+      }
+      if (Object.hasOwn(raw, "$")) return decodeTagged(raw);
+      const object = {};
+      objects.push(object);
+      return decodeEntries(raw, object);
+    }
+
+    return decodeValue(root);
+  }
+
+  function stringify(value, space) {
+    return JSON.stringify({ format: FORMAT, version: VERSION, value: encode(value) }, null, space);
+  }
+
+  function parse(text) {
+    const envelope = JSON.parse(text);
+    if (envelope?.format !== FORMAT) {
+      throw new TypeError(`Not ${FORMAT} data`);
+    }
+    if (envelope.version !== VERSION) {
+      throw new TypeError(`Unsupported ${FORMAT} version: ${envelope.version}`);
+    }
+    return decode(envelope.value);
+  }
+
+  const codec = { register, encode, decode, stringify, parse };
+  return codec;
+}
+
+// The codec with only the built-in types
+const defaultCodec = createCodec();
+export const stringify = defaultCodec.stringify;
+export const parse = defaultCodec.parse;
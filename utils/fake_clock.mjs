@@ -0,0 +1,218 @@
+// A virtual clock that can stand in for setTimeout()/setInterval()/Date.now().
+// Time only moves when we say so: manually via tick()/next()/runAll(), or
+// automatically (autoAdvance) whenever the pending callbacks and microtasks
+// have run. Timers still fire in the same order as with the real clock, so
+// race winners and timeout ordering stay the same, but nobody waits for them.
+//
+//   const clock = createFakeClock().install();
+//   setTimeout(() => console.log("later"), 1000);
+//   clock.tick(1000); // logs "later" immediately
+//   clock.uninstall();
+//
+// Callbacks run inside an async resource of type "Timeout", like real timers,
+// so async_hooks based tools (runner/async_tracker.mjs, utils/event_loop_tracer.mjs)
+// see them as timers.
+
+import { AsyncResource } from "async_hooks";
+
+// Same limits as Node.js: delays outside [1, 2^31 - 1] become 1 ms
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+function normalizeDelay(delay) {
+  const ms = Number(delay);
+  return ms >= 1 && ms <= TIMEOUT_MAX ? Math.trunc(ms) : 1;
+}
+
+// Handle returned by the fake setTimeout()/setInterval(). Like Node's Timeout
+// it can be unref()'d and converts to a number for clearTimeout(id).
+class FakeTimer {
+  constructor(id) {
+    this.id = id;
+    this.referenced = true;
+  }
+  ref() {
+    this.referenced = true;
+    return this;
+  }
+  unref() {
+    this.referenced = false;
+    return this;
+  }
+  hasRef() {
+    return this.referenced;
+  }
+  [Symbol.toPrimitive]() {
+    return this.id;
+  }
+}
+
+export function createFakeClock({ now = Date.now() } = {}) {
+  const timers = new Map(); // id -> { handle, resource, callback, args, at, interval }
+  const realSetImmediate = setImmediate;
+  let currentTime = now;
+  let nextId = 1;
+  let originals;
+  let autoAdvance = false;
+  let stepScheduled = false;
+
+  function addTimer(callback, delay, args, repeat) {
+    if (typeof callback !== "function") {
+      throw new TypeError(`The "callback" argument must be of type function`);
+    }
+    const ms = normalizeDelay(delay);
+    const handle = new FakeTimer(nextId++);
+    timers.set(handle.id, {
+      handle,
+      resource: new AsyncResource("Timeout"),
+      callback,
+      args,
+      at: currentTime + ms,
+      interval: repeat ? ms : undefined,
+    });
+    scheduleStep();
+    return handle;
+  }
+
+  function removeTimer(handle) {
+    if (handle == null) return;
+    const id = typeof handle === "object" ? handle.id : Number(handle);
+    timers.get(id)?.resource.emitDestroy();
+    timers.delete(id);
+  }
+
+  // Earliest timer; among timers due at the same time, the one created first
+  function firstTimer(timerList = timers.values()) {
+    let first;
+    for (const timer of timerList) {
+      if (first === undefined || timer.at < first.at ||
+          (timer.at === first.at && timer.handle.id < first.handle.id)) {
+        first = timer;
+      }
+    }
+    return first;
+  }
+
+  function fire(timer) {
+    currentTime = Math.max(currentTime, timer.at);
+    if (timer.interval !== undefined) {
+      timer.at = currentTime + timer.interval;
+      timer.resource.runInAsyncScope(timer.callback, undefined, ...timer.args);
+      return;
+    }
+    timers.delete(timer.handle.id);
+    try {
+      timer.resource.runInAsyncScope(timer.callback, undefined, ...timer.args);
+    } finally {
+      timer.resource.emitDestroy();
+    }
+  }
+
+  // Auto-advance: a real setImmediate() runs after the current callback and its
+  // microtasks, so the next timer only fires once everything before it settled.
+  function scheduleStep() {
+    if (!autoAdvance || stepScheduled) return;
+    if (![...timers.values()].some((timer) => timer.handle.referenced)) return;
+    stepScheduled = true;
+    realSetImmediate(() => {
+      stepScheduled = false;
+      if (!autoAdvance) return;
+      if (![...timers.values()].some((timer) => timer.handle.referenced)) return;
+      // Unreferenced timers due earlier fire on the way, as they would for real
+      try {
+        fire(firstTimer());
+      } finally {
+        scheduleStep();
+      }
+    });
+  }
+
+  const clock = {
+    get now() {
+      return currentTime;
+    },
+
+    setTimeout(callback, delay, ...args) {
+      return addTimer(callback, delay, args, false);
+    },
+    clearTimeout: removeTimer,
+    setInterval(callback, delay, ...args) {
+      return addTimer(callback, delay, args, true);
+    },
+    clearInterval: removeTimer,
+
+    // Number of timers that have not fired (intervals count until cleared)
+    pending() {
+      return timers.size;
+    },
+
+    // Moves time forward by `ms`, firing every timer that comes due on the way.
+    // Returns the number of callbacks that ran.
+    tick(ms) {
+      const target = currentTime + Math.max(0, Number(ms));
+      let count = 0;
+      for (let timer = firstTimer(); timer !== undefined && timer.at <= target;
+           timer = firstTimer()) {
+        fire(timer);
+        count++;
+      }
+      currentTime = target;
+      return count;
+    },
+
+    // Jumps to the next timer and fires it. Returns false if there was none.
+    next() {
+      const timer = firstTimer();
+      if (timer === undefined) return false;
+      fire(timer);
+      return true;
+    },
+
+    // Fires timers until there are none left. Intervals never run out, hence `limit`.
+    runAll({ limit = 1000 } = {}) {
+      let count = 0;
+      while (clock.next()) {
+        if (++count >= limit) {
+          throw new Error(`Aborting after running ${limit} timers, assuming an infinite loop`);
+        }
+      }
+      return count;
+    },
+
+    // Turns automatic advancing on or off
+    setAutoAdvance(enabled) {
+      autoAdvance = enabled;
+      scheduleStep();
+      return clock;
+    },
+
+    // Replaces the timer functions and Date.now() of `target` (globalThis by default)
+    install(target = globalThis) {
+      if (originals !== undefined) throw new Error("The fake clock is already installed");
+      originals = {
+        target,
+        setTimeout: target.setTimeout,
+        clearTimeout: target.clearTimeout,
+        setInterval: target.setInterval,
+        clearInterval: target.clearInterval,
+        dateNow: target.Date.now,
+      };
+      target.setTimeout = clock.setTimeout;
+      target.clearTimeout = clock.clearTimeout;
+      target.setInterval = clock.setInterval;
+      target.clearInterval = clock.clearInterval;
+      target.Date.now = () => currentTime;
+      return clock;
+    },
+
+    uninstall() {
+      if (originals === undefined) return clock;
+      const { target, dateNow, ...timerFunctions } = originals;
+      Object.assign(target, timerFunctions);
+      target.Date.now = dateNow;
+      originals = undefined;
+      autoAdvance = false;
+      return clock;
+    },
+  };
+  return clock;
+}
@@ -0,0 +1,204 @@
+// Chainable, lazy operations on any iterable (Arrays, Strings, Maps, Sets,
+// generators, ...). Nothing is computed until the result is iterated, and only
+// as many elements are pulled from the source as are needed, so infinite
+// sources like fibonacciGenerator in 38_synchronous_generators.mjs work:
+//   iter(fibonacci()).filter((x) => x % 2 === 0).take(5).toArray()
+//
+// When iteration stops early (break, take(), an exception in a callback, ...)
+// the source iterator is closed by calling its return() method, so the
+// `finally` blocks of generators run.
+//
+// A pipeline can be iterated again if its source can: iter([1, 2]).map(f)
+// starts over each time, iter(generatorObject).map(f) doesn't.
+
+function* map(source, fn) {
+  let index = 0;
+  for (const value of source) yield fn(value, index++);
+}
+
+function* filter(source, predicate) {
+  let index = 0;
+  for (const value of source) {
+    if (predicate(value, index++)) yield value;
+  }
+}
+
+function* take(source, count) {
+  if (count <= 0) return;
+  let remaining = count;
+  for (const value of source) {
+    yield value;
+    // Return before pulling another element that wouldn't be used
+    if (--remaining === 0) return;
+  }
+}
+
+function* drop(source, count) {
+  let remaining = count;
+  for (const value of source) {
+    if (remaining > 0) {
+      remaining--;
+      continue;
+    }
+    yield value;
+  }
+}
+
+function* takeWhile(source, predicate) {
+  let index = 0;
+  for (const value of source) {
+    if (!predicate(value, index++)) return;
+    yield value;
+  }
+}
+
+function* flatMap(source, fn) {
+  let index = 0;
+  for (const value of source) yield* fn(value, index++);
+}
+
+// Stops at the end of the shortest input and closes the others
+function* zip(sources) {
+  const iterators = sources.map((source) => source[Symbol.iterator]());
+  const open = new Set(iterators);
+  try {
+    for (;;) {
+      const tuple = [];
+      for (const iterator of iterators) {
+        const result = iterator.next();
+        if (result.done) {
+          open.delete(iterator);
+          return;
+        }
+        tuple.push(result.value);
+      }
+      yield tuple;
+    }
+  } finally {
+    for (const iterator of open) iterator.return?.();
+  }
+}
+
+// Arrays of `size` consecutive elements; the last one can be shorter
+function* chunk(source, size) {
+  let current = [];
+  for (const value of source) {
+    current.push(value);
+    if (current.length === size) {
+      yield current;
+      current = [];
+    }
+  }
+  if (current.length > 0) yield current;
+}
+
+// Sliding windows of exactly `size` elements: [a, b, c], [b, c, d], ...
+function* window(source, size) {
+  const current = [];
+  for (const value of source) {
+    current.push(value);
+    if (current.length > size) current.shift();
+    if (current.length === size) yield [...current];
+  }
+}
+
+function* enumerate(source, start) {
+  let index = start;
+  for (const value of source) yield [index++, value];
+}
+
+function checkCount(name, count) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new RangeError(`${name}() needs a non-negative integer, got ${count}`);
+  }
+}
+
+function checkSize(name, size) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError(`${name}() needs a positive integer size, got ${size}`);
+  }
+}
+
+export class LazyIterable {
+  #source;
+
+  constructor(source) {
+    if (typeof source?.[Symbol.iterator] !== "function") {
+      throw new TypeError(`Not iterable: ${String(source)}`);
+    }
+    this.#source = source;
+  }
+
+  [Symbol.iterator]() {
+    return this.#source[Symbol.iterator]();
+  }
+
+  // A new pipeline whose iterator is operation(this, ...args)
+  #derive(operation, ...args) {
+    return new LazyIterable({ [Symbol.iterator]: () => operation(this, ...args) });
+  }
+
+  map(fn) {
+    return this.#derive(map, fn);
+  }
+  filter(predicate) {
+    return this.#derive(filter, predicate);
+  }
+  take(count) {
+    checkCount("take", count);
+    return this.#derive(take, count);
+  }
+  drop(count) {
+    checkCount("drop", count);
+    return this.#derive(drop, count);
+  }
+  takeWhile(predicate) {
+    return this.#derive(takeWhile, predicate);
+  }
+  flatMap(fn) {
+    return this.#derive(flatMap, fn);
+  }
+  zip(...others) {
+    return this.#derive(() => zip([this, ...others]));
+  }
+  chunk(size) {
+    checkSize("chunk", size);
+    return this.#derive(chunk, size);
+  }
+  window(size) {
+    checkSize("window", size);
+    return this.#derive(window, size);
+  }
+  enumerate(start = 0) {
+    return this.#derive(enumerate, start);
+  }
+
+  // Like Array.prototype.reduce(): without an initial value the first element
+  // is used, and an empty iterable is a TypeError
+  reduce(reducer, ...initialValue) {
+    const iterator = this[Symbol.iterator]();
+    let accumulator;
+    let index = 0;
+    if (initialValue.length > 0) {
+      accumulator = initialValue[0];
+    } else {
+      const first = iterator.next();
+      if (first.done) throw new TypeError("reduce() of empty iterable with no initial value");
+      accumulator = first.value;
+      index = 1;
+    }
+    // for-of closes the iterator if the reducer throws
+    for (const value of { [Symbol.iterator]: () => iterator }) {
+      accumulator = reducer(accumulator, value, index++);
+    }
+    return accumulator;
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
+
+export function iter(iterable) {
+  return iterable instanceof LazyIterable ? iterable : new LazyIterable(iterable);
+}
@@ -0,0 +1,263 @@
+// JSON.parse() turns every number literal into a double, so integers beyond
+// Number.MAX_SAFE_INTEGER (64-bit IDs, for example) are silently rounded:
+// JSON.parse("9007199254740993") is 9007199254740992. This parser keeps such
+// literals as bigints, and stringify() writes bigints back as bare numeric
+// literals, so parse() and stringify() round-trip them exactly.
+//
+// parse(text, options):
+// -> bigint: "unsafe" (default) converts integer literals that don't fit in a
+//    safe integer, "always" converts every integer literal
+// -> keys: only convert values of properties with one of these names
+// -> paths: only convert values at these paths, e.g. ["users", "*", "id"] or
+//    "users.*.id" ("*" matches any key or index)
+// -> reviver: called like the reviver of JSON.parse()
+// When keys and paths are both given, a value matching either is converted.
+// Literals with a fraction or an exponent always stay numbers.
+
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const INTEGER = /^-?(?:0|[1-9]\d*)$/;
+const STRING = /"(?:[^"\\\u0000-\u001F]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const WHITESPACE = /[ \t\n\r]*/y;
+
+function toPath(path) {
+  return Array.isArray(path) ? path.map(String) : String(path).split(".");
+}
+
+function matchesPath(pattern, path) {
+  return (
+    pattern.length === path.length &&
+    pattern.every((segment, i) => segment === "*" || segment === path[i])
+  );
+}
+
+function createSelector({ keys, paths }) {
+  if (keys === undefined && paths === undefined) return () => true;
+  const keySet = new Set(keys ?? []);
+  const patterns = (paths ?? []).map(toPath);
+  return (path) =>
+    (path.length > 0 && keySet.has(path[path.length - 1])) ||
+    patterns.some((pattern) => matchesPath(pattern, path));
+}
+
+function describeToken(text, pos) {
+  return pos < text.length
+    ? `Unexpected token ${text[pos]} in JSON at position ${pos}`
+    : "Unexpected end of JSON input";
+}
+
+export function parse(text, { bigint = "unsafe", keys, paths, reviver } = {}) {
+  if (bigint !== "unsafe" && bigint !== "always") {
+    throw new TypeError(`bigint must be "unsafe" or "always", got ${bigint}`);
+  }
+  text = String(text);
+  const selected = createSelector({ keys, paths });
+  let pos = 0;
+
+  function fail() {
+    throw new SyntaxError(describeToken(text, pos));
+  }
+  function skipWhitespace() {
+    WHITESPACE.lastIndex = pos;
+    WHITESPACE.exec(text);
+    pos = WHITESPACE.lastIndex;
+  }
+  function expect(char) {
+    skipWhitespace();
+    if (text[pos] !== char) fail();
+    pos++;
+  }
+  function readString() {
+    STRING.lastIndex = pos;
+    const match = STRING.exec(text);
+    if (match === null) fail();
+    pos = STRING.lastIndex;
+    return JSON.parse(match[0]);
+  }
+  function readNumber(path) {
+    NUMBER.lastIndex = pos;
+    const match = NUMBER.exec(text);
+    if (match === null) fail();
+    pos = NUMBER.lastIndex;
+    const literal = match[0];
+    const number = Number(literal);
+    if (!INTEGER.test(literal) || !selected(path)) return number;
+    if (bigint === "always" || !Number.isSafeInteger(number)) return BigInt(literal);
+    return number;
+  }
+  function readLiteral(word, value) {
+    if (!text.startsWith(word, pos)) fail();
+    pos += word.length;
+    return value;
+  }
+  function readObject(path) {
+    pos++; // {
+    const object = {};
+    skipWhitespace();
+    if (text[pos] === "}") {
+      pos++;
+      return object;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail();
+      const key = readString();
+      expect(":");
+      const value = readValue([...path, key]);
+      // Like JSON.parse(): "__proto__" is an own property, not the prototype
+      Object.defineProperty(object, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] === "}") {
+        pos++;
+        return object;
+      } else {
+        fail();
+      }
+    }
+  }
+  function readArray(path) {
+    pos++; // [
+    const array = [];
+    skipWhitespace();
+    if (text[pos] === "]") {
+      pos++;
+      return array;
+    }
+    for (;;) {
+      array.push(readValue([...path, String(array.length)]));
+      skipWhitespace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] === "]") {
+        pos++;
+        return array;
+      } else {
+        fail();
+      }
+    }
+  }
+  function readValue(path) {
+    skipWhitespace();
+    switch (text[pos]) {
+      case "{": return readObject(path);
+      case "[": return readArray(path);
+      case '"': return readString();
+      case "t": return readLiteral("true", true);
+      case "f": return readLiteral("false", false);
+      case "n": return readLiteral("null", null);
+      default: return readNumber(path);
+    }
+  }
+
+  const result = readValue([]);
+  skipWhitespace();
+  if (pos < text.length) fail();
+  return typeof reviver === "function" ? revive({ "": result }, "", reviver) : result;
+}
+
+// The walk JSON.parse() does with a reviver: children first, undefined deletes
+function revive(holder, key, reviver) {
+  const value = holder[key];
+  if (value !== null && typeof value === "object") {
+    for (const childKey of Object.keys(value)) {
+      const revived = revive(value, childKey, reviver);
+      if (revived === undefined) delete value[childKey];
+      else value[childKey] = revived;
+    }
+  }
+  return reviver.call(holder, key, value);
+}
+
+// Same contract as JSON.stringify(value, replacer, space), except that bigints
+// become numeric literals instead of throwing a TypeError.
+export function stringify(value, replacer, space) {
+  const replacerFunction = typeof replacer === "function" ? replacer : undefined;
+  const propertyList = Array.isArray(replacer)
+    ? [
+        ...new Set(
+          replacer
+            .filter((item) => ["string", "number"].includes(typeof item) ||
+              item instanceof String || item instanceof Number)
+            .map(String)
+        ),
+      ]
+    : undefined;
+  if (space instanceof Number) space = Number(space);
+  else if (space instanceof String) space = String(space);
+  const gap =
+    typeof space === "number"
+      ? " ".repeat(Math.max(0, Math.min(10, Math.trunc(space))))
+      : typeof space === "string"
+        ? space.slice(0, 10)
+        : "";
+  const stack = [];
+
+  function serializeProperty(holder, key, indent) {
+    let value = holder[key];
+    if (
+      (typeof value === "object" && value !== null) ||
+      typeof value === "bigint"
+    ) {
+      if (typeof value.toJSON === "function") value = value.toJSON(key);
+    }
+    if (replacerFunction !== undefined) value = replacerFunction.call(holder, key, value);
+    if (value instanceof Number) value = Number(value);
+    else if (value instanceof String) value = String(value);
+    else if (value instanceof Boolean || value instanceof BigInt) value = value.valueOf();
+
+    if (value === null) return "null";
+    switch (typeof value) {
+      case "boolean": return String(value);
+      case "string": return JSON.stringify(value);
+      case "number": return Number.isFinite(value) ? String(value) : "null";
+      case "bigint": return String(value);
+      case "object":
+        return Array.isArray(value)
+          ? serializeArray(value, indent)
+          : serializeObject(value, indent);
+      default: return undefined; // undefined, functions, symbols
+    }
+  }
+  function enter(value) {
+    if (stack.includes(value)) {
+      throw new TypeError("Converting circular structure to JSON");
+    }
+    stack.push(value);
+  }
+  function wrap(open, parts, close, indent, inner) {
+    if (parts.length === 0) return open + close;
+    if (gap === "") return open + parts.join(",") + close;
+    return `${open}\n${inner}${parts.join(`,\n${inner}`)}\n${indent}${close}`;
+  }
+  function serializeObject(object, indent) {
+    enter(object);
+    const inner = indent + gap;
+    const parts = [];
+    for (const key of propertyList ?? Object.keys(object)) {
+      const serialized = serializeProperty(object, key, inner);
+      if (serialized !== undefined) {
+        parts.push(`${JSON.stringify(key)}:${gap === "" ? "" : " "}${serialized}`);
+      }
+    }
+    stack.pop();
+    return wrap("{", parts, "}", indent, inner);
+  }
+  function serializeArray(array, indent) {
+    enter(array);
+    const inner = indent + gap;
+    const parts = [];
+    for (let i = 0; i < array.length; i++) {
+      parts.push(serializeProperty(array, String(i), inner) ?? "null");
+    }
+    stack.pop();
+    return wrap("[", parts, "]", indent, inner);
+  }
+
+  return serializeProperty({ "": value }, "", "");
+}
@@ -0,0 +1,142 @@
+// The Map operations 33_maps.mjs lists as missing. Instead of converting a Map
+// to an Array of entries, transforming that and converting it back, the
+// functions below work on the entries directly.
+//
+// Callbacks get (value, key, map), like the callback of Map.prototype.forEach().
+// Every eager function returns a new Map and keeps the insertion order of its
+// input. The generators in `lazy` take a Map or any iterable of [key, value]
+// pairs (e.g. map.entries()) and yield [key, value] pairs one at a time:
+//   new Map(lazy.filter(map.entries(), (v) => v > 0))
+// Their callbacks get that iterable as the last argument, which is only the
+// Map if a Map was passed.
+
+// Assigning to "__proto__" with `obj[key] = ...` changes the object's prototype
+// instead of creating a property
+function checkSafeKey(key) {
+  if (key === "__proto__") {
+    throw new TypeError(`Unsafe key: ${key}`);
+  }
+}
+
+export const lazy = {
+  *mapValues(entries, fn) {
+    for (const [key, value] of entries) yield [key, fn(value, key, entries)];
+  },
+  *mapKeys(entries, fn) {
+    for (const [key, value] of entries) yield [fn(key, value, entries), value];
+  },
+  // fn([key, value]) returns the new [key, value] pair
+  *mapEntries(entries, fn) {
+    for (const entry of entries) yield fn(entry, entries);
+  },
+  *filter(entries, predicate) {
+    for (const [key, value] of entries) {
+      if (predicate(value, key, entries)) yield [key, value];
+    }
+  },
+  // Entries of all inputs, one after the other (keys can repeat)
+  *concat(...inputs) {
+    for (const entries of inputs) yield* entries;
+  },
+};
+
+export function mapValues(map, fn) {
+  return new Map(lazy.mapValues(map, fn));
+}
+
+// When two keys are mapped to the same new key, the later entry wins
+export function mapKeys(map, fn) {
+  return new Map(lazy.mapKeys(map, fn));
+}
+
+export function mapEntries(map, fn) {
+  return new Map(lazy.mapEntries(map, fn));
+}
+
+export function filter(map, predicate) {
+  return new Map(lazy.filter(map, predicate));
+}
+
+export function reduce(map, reducer, initialValue) {
+  let accumulator = initialValue;
+  for (const [key, value] of map) {
+    accumulator = reducer(accumulator, value, key, map);
+  }
+  return accumulator;
+}
+
+// Map of group -> Map of the entries in that group
+export function groupBy(map, fn) {
+  const groups = new Map();
+  for (const [key, value] of map) {
+    const group = fn(value, key, map);
+    if (!groups.has(group)) groups.set(group, new Map());
+    groups.get(group).set(key, value);
+  }
+  return groups;
+}
+
+// [entries that pass, entries that don't]
+export function partition(map, predicate) {
+  const passed = new Map();
+  const failed = new Map();
+  for (const [key, value] of map) {
+    (predicate(value, key, map) ? passed : failed).set(key, value);
+  }
+  return [passed, failed];
+}
+
+// merge(map1, map2, ..., resolve?)
+// Without a resolver, the last value wins, like new Map([...map1, ...map2]).
+// resolve(key, currentValue, incomingValue) decides for keys that are in more
+// than one Map. A key keeps the position where it first appeared.
+export function merge(...args) {
+  const resolve = typeof args.at(-1) === "function" ? args.pop() : undefined;
+  const result = new Map();
+  for (const [key, value] of lazy.concat(...args)) {
+    if (resolve !== undefined && result.has(key)) {
+      result.set(key, resolve(key, result.get(key), value));
+    } else {
+      result.set(key, value);
+    }
+  }
+  return result;
+}
+
+// Map of value -> key. Two keys with the same value would silently lose one,
+// so that is an error.
+export function invert(map) {
+  const inverted = new Map();
+  for (const [key, value] of map) {
+    if (inverted.has(value)) {
+      throw new TypeError(`Duplicate value, can't invert: ${String(value)}`);
+    }
+    inverted.set(value, key);
+  }
+  return inverted;
+}
+
+// Keys must be strings or symbols: numbers would be converted to strings and
+// could collide with existing string keys.
+export function toObject(map) {
+  const object = {};
+  for (const [key, value] of map) {
+    if (typeof key !== "string" && typeof key !== "symbol") {
+      throw new TypeError(`Object keys must be strings or symbols: ${String(key)}`);
+    }
+    checkSafeKey(key);
+    object[key] = value;
+  }
+  return object;
+}
+
+// Own enumerable string and symbol keys, in property order
+export function fromObject(object) {
+  const map = new Map();
+  for (const key of Reflect.ownKeys(object)) {
+    if (!Object.prototype.propertyIsEnumerable.call(object, key)) continue;
+    checkSafeKey(key);
+    map.set(key, object[key]);
+  }
+  return map;
+}
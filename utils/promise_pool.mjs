@@ -0,0 +1,139 @@
+// Promise.all() and friends take Promises, and a Promise means its work has
+// already started. A pool takes the work itself, as functions that return
+// Promises (or plain values), and starts at most `concurrency` of them at a time.
+//
+//   const pool = createPool({ concurrency: 2 });
+//   const results = await pool.all(urls.map((url) => () => fetch(url)));
+//
+// Waiting tasks start in order of priority (higher first), then in the order
+// they were added. Tasks added in the same synchronous block are sorted before
+// any of them starts, so priorities apply to them too.
+//
+// `keyed` has versions of Promise.all(), allSettled() and any() that take an
+// object or a Map of Promises and return their results under the same keys.
+
+function checkConcurrency(concurrency) {
+  if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+    throw new RangeError(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+}
+
+export function createPool({ concurrency = 1 } = {}) {
+  checkConcurrency(concurrency);
+  const queue = []; // waiting jobs, highest priority first
+  const idleWaiters = [];
+  let running = 0;
+  let scheduled = false;
+
+  function startJobs() {
+    scheduled = false;
+    while (running < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      running++;
+      // A task that throws synchronously rejects its Promise
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          startJobs();
+        });
+    }
+    if (running === 0 && queue.length === 0) {
+      for (const resolve of idleWaiters.splice(0)) resolve();
+    }
+  }
+
+  function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(startJobs);
+  }
+
+  function add(task, { priority = 0 } = {}) {
+    if (typeof task !== "function") {
+      throw new TypeError("A pool task must be a function that returns a Promise");
+    }
+    return new Promise((resolve, reject) => {
+      const job = { task, priority, resolve, reject };
+      const index = queue.findIndex((queued) => queued.priority < priority);
+      if (index === -1) queue.push(job);
+      else queue.splice(index, 0, job);
+      schedule();
+    });
+  }
+
+  return {
+    add,
+    // Results in the order of `tasks`, whatever order they finish in
+    all(tasks, options) {
+      return Promise.all(Array.from(tasks, (task) => add(task, options)));
+    },
+    allSettled(tasks, options) {
+      return Promise.allSettled(Array.from(tasks, (task) => add(task, options)));
+    },
+    // Fulfilled once no task is running or waiting
+    onIdle() {
+      if (running === 0 && queue.length === 0 && !scheduled) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+    get running() {
+      return running;
+    },
+    get waiting() {
+      return queue.length;
+    },
+  };
+}
+
+// Runs the functions in `tasks` with at most `concurrency` at a time and
+// fulfills with their results in input order
+export function runTasks(tasks, { concurrency = 1 } = {}) {
+  return createPool({ concurrency }).all(tasks);
+}
+
+function entriesOf(input) {
+  if (input instanceof Map) return [...input];
+  if (input !== null && typeof input === "object") return Object.entries(input);
+  throw new TypeError("Expected an object or a Map of Promises");
+}
+
+// A result with the same shape as the input: a Map for a Map, an object otherwise
+function fromEntries(input, entries) {
+  return input instanceof Map ? new Map(entries) : Object.fromEntries(entries);
+}
+
+export const keyed = {
+  // Like Promise.all(): rejects with the first rejection reason
+  async all(input) {
+    const entries = entriesOf(input);
+    const values = await Promise.all(entries.map(([, value]) => value));
+    return fromEntries(input, entries.map(([key], i) => [key, values[i]]));
+  },
+  async allSettled(input) {
+    const entries = entriesOf(input);
+    const outcomes = await Promise.allSettled(entries.map(([, value]) => value));
+    return fromEntries(input, entries.map(([key], i) => [key, outcomes[i]]));
+  },
+  // Like Promise.any(): the first fulfillment wins. If every Promise rejects,
+  // the AggregateError lists the failed keys in its message and in `.keys`,
+  // and has the reasons both in input order (`.errors`) and by key (`.errorsByKey`).
+  async any(input) {
+    const entries = entriesOf(input);
+    try {
+      return await Promise.any(entries.map(([, value]) => value));
+    } catch (error) {
+      if (!(error instanceof AggregateError)) throw error;
+      const keys = entries.map(([key]) => key);
+      const aggregate = new AggregateError(
+        error.errors,
+        keys.length === 0
+          ? "No promises to wait for"
+          : `All promises were rejected: ${keys.map(String).join(", ")}`
+      );
+      aggregate.keys = keys;
+      aggregate.errorsByKey = fromEntries(input, keys.map((key, i) => [key, error.errors[i]]));
+      throw aggregate;
+    }
+  },
+};
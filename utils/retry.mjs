@@ -0,0 +1,91 @@
+// Retries a Promise-based operation that fails for a transient reason, waiting
+// longer after each failure (exponential backoff), with some randomness
+// (jitter) so that many clients don't all retry at the same moment.
+//
+//   const data = await retry(({ attempt, signal }) => load(url, { signal }), {
+//     attempts: 5,
+//     retryable: [NetworkError, "ECONNRESET"],
+//   });
+//
+// Options:
+// -> attempts: how often fn is called at most (default 3)
+// -> delay, factor, maxDelay: the wait before attempt n + 1 is
+//    min(maxDelay, delay * factor ** (n - 1)) milliseconds
+// -> jitter: up to this fraction of each wait is removed at random (0 to 1)
+// -> retryable: which errors are worth another attempt. A predicate, an Error
+//    class (matched with instanceof), an error code (matched with error.code)
+//    or an Array of those. By default every error is.
+// -> onAttempt({ attempt }) is called before each attempt, onFailure({ attempt,
+//    error, willRetry, delay }) after each failure
+// -> signal: an AbortSignal that cancels the wait and the remaining attempts
+// -> random: the source of randomness for the jitter (default Math.random)
+//
+// An error that isn't retryable is rethrown as it is. When all attempts fail,
+// the result rejects with an AggregateError whose `errors` are the failures
+// of every attempt, in order.
+import { delay as wait, throwIfAborted } from "./cancellation.mjs";
+
+function toPredicate(retryable) {
+  if (retryable === undefined) return () => true;
+  if (Array.isArray(retryable)) {
+    const predicates = retryable.map(toPredicate);
+    return (error) => predicates.some((predicate) => predicate(error));
+  }
+  if (typeof retryable === "function") {
+    // A class (Error or a subclass of it) or a predicate
+    const isErrorClass = retryable === Error || retryable.prototype instanceof Error;
+    return isErrorClass ? (error) => error instanceof retryable : retryable;
+  }
+  return (error) => error?.code === retryable;
+}
+
+function backoff(attempt, { delay, factor, maxDelay, jitter, random }) {
+  const base = Math.min(maxDelay, delay * factor ** (attempt - 1));
+  return Math.round(base * (1 - jitter * random()));
+}
+
+export async function retry(
+  fn,
+  {
+    attempts = 3,
+    delay = 100,
+    factor = 2,
+    maxDelay = 10_000,
+    jitter = 0.5,
+    retryable,
+    onAttempt,
+    onFailure,
+    signal,
+    random = Math.random,
+  } = {}
+) {
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new RangeError(`attempts must be a positive integer, got ${attempts}`);
+  }
+  if (!(jitter >= 0 && jitter <= 1)) {
+    throw new RangeError(`jitter must be between 0 and 1, got ${jitter}`);
+  }
+  const isRetryable = toPredicate(retryable);
+  const errors = [];
+  for (let attempt = 1; ; attempt++) {
+    throwIfAborted(signal);
+    onAttempt?.({ attempt });
+    try {
+      return await fn({ attempt, signal });
+    } catch (error) {
+      errors.push(error);
+      const canRetry = isRetryable(error);
+      const willRetry = canRetry && attempt < attempts;
+      const waitTime = willRetry
+        ? backoff(attempt, { delay, factor, maxDelay, jitter, random })
+        : undefined;
+      onFailure?.({ attempt, error, willRetry, delay: waitTime });
+      if (!canRetry) throw error;
+      if (!willRetry) {
+        const tries = attempt === 1 ? "1 attempt" : `${attempt} attempts`;
+        throw new AggregateError(errors, `Failed after ${tries}`);
+      }
+      await wait(waitTime, undefined, { signal });
+    }
+  }
+}
@@ -0,0 +1,165 @@
+// Set operations for any number of iterables, replacing the two-Set workarounds
+// of 35_sets.mjs (spreading into Arrays and filtering).
+//
+// Inputs can be Sets or any other iterables; duplicates in them are ignored.
+// Elements are compared the way Sets compare them (SameValueZero: like ===,
+// except that NaN equals NaN). Results keep the order in which elements are
+// first reached, going through the inputs from left to right.
+//
+// The generators in `lazy` yield one element at a time; the functions of the
+// same name return a new Set:
+//   union(a, b, c) is new Set(lazy.union(a, b, c))
+//
+// union() of no inputs is the empty Set. intersection() and difference() start
+// from their first input, so they throw a TypeError without one (the
+// intersection of no Sets would be everything, which no Set can hold).
+
+function toSet(iterable) {
+  return iterable instanceof Set ? iterable : new Set(iterable);
+}
+
+function checkFirst(name, args) {
+  if (args.length === 0) {
+    throw new TypeError(`${name}() needs at least one iterable`);
+  }
+}
+
+function* unique(iterable) {
+  if (iterable instanceof Set) {
+    yield* iterable;
+    return;
+  }
+  const seen = new Set();
+  for (const element of iterable) {
+    if (seen.has(element)) continue;
+    seen.add(element);
+    yield element;
+  }
+}
+
+// Subsets of `elements` with `size` elements, in lexicographic order of positions
+function* combinations(elements, size, start = 0) {
+  if (size === 0) {
+    yield [];
+    return;
+  }
+  for (let i = start; i <= elements.length - size; i++) {
+    for (const rest of combinations(elements, size - 1, i + 1)) {
+      yield [elements[i], ...rest];
+    }
+  }
+}
+
+export const lazy = {
+  *union(...iterables) {
+    const seen = new Set();
+    for (const iterable of iterables) {
+      for (const element of iterable) {
+        if (seen.has(element)) continue;
+        seen.add(element);
+        yield element;
+      }
+    }
+  },
+  // Elements of the first input that are in all the others
+  *intersection(...iterables) {
+    checkFirst("intersection", iterables);
+    const [first, ...others] = iterables;
+    const sets = others.map(toSet);
+    for (const element of unique(first)) {
+      if (sets.every((set) => set.has(element))) yield element;
+    }
+  },
+  // Elements of the first input that are in none of the others
+  *difference(...iterables) {
+    checkFirst("difference", iterables);
+    const [first, ...others] = iterables;
+    const sets = others.map(toSet);
+    for (const element of unique(first)) {
+      if (!sets.some((set) => set.has(element))) yield element;
+    }
+  },
+  // Elements that are in an odd number of inputs, which is what applying the
+  // two-Set symmetric difference from left to right gives
+  *symmetricDifference(...iterables) {
+    const sets = iterables.map(toSet);
+    for (const element of lazy.union(...sets)) {
+      const count = sets.filter((set) => set.has(element)).length;
+      if (count % 2 === 1) yield element;
+    }
+  },
+  // Arrays [a, b, ...] with one element from each input. The last input varies fastest.
+  *product(...iterables) {
+    const pools = iterables.map((iterable) => [...unique(iterable)]);
+    function* tuples(index) {
+      if (index === pools.length) {
+        yield [];
+        return;
+      }
+      for (const element of pools[index]) {
+        for (const rest of tuples(index + 1)) yield [element, ...rest];
+      }
+    }
+    yield* tuples(0);
+  },
+  // All subsets as Sets, smallest first: {}, {a}, {b}, {a, b}, ...
+  *powerSet(iterable) {
+    const elements = [...unique(iterable)];
+    for (let size = 0; size <= elements.length; size++) {
+      for (const subset of combinations(elements, size)) yield new Set(subset);
+    }
+  },
+};
+
+export function union(...iterables) {
+  return new Set(lazy.union(...iterables));
+}
+
+export function intersection(...iterables) {
+  return new Set(lazy.intersection(...iterables));
+}
+
+export function difference(...iterables) {
+  return new Set(lazy.difference(...iterables));
+}
+
+export function symmetricDifference(...iterables) {
+  return new Set(lazy.symmetricDifference(...iterables));
+}
+
+export function product(...iterables) {
+  return new Set(lazy.product(...iterables));
+}
+
+// The eager power set of n elements has 2^n Sets; use lazy.powerSet() for more
+const MAX_POWER_SET_ELEMENTS = 20;
+
+export function powerSet(iterable) {
+  const elements = [...unique(iterable)];
+  if (elements.length > MAX_POWER_SET_ELEMENTS) {
+    throw new RangeError(
+      `Power set of ${elements.length} elements is too large, use lazy.powerSet()`
+    );
+  }
+  return new Set(lazy.powerSet(elements));
+}
+
+export function isSubsetOf(a, b) {
+  const superset = toSet(b);
+  for (const element of a) {
+    if (!superset.has(element)) return false;
+  }
+  return true;
+}
+
+export function isSupersetOf(a, b) {
+  return isSubsetOf(b, a);
+}
+
+export function isDisjointFrom(a, b) {
+  const other = toSet(b);
+  for (const element of a) {
+    if (other.has(element)) return false;
+  }
+  return true;
+}
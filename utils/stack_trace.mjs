@@ -0,0 +1,93 @@
+// Parses V8 stack traces (error.stack) into structured frames, so code can
+// check the frames that matter instead of comparing whole stack strings,
+// which differ between machines, operating systems and Node.js versions.
+//
+// A frame is { function, file, line, column, async, internal }:
+// -> function: "h", "Foo" (with `new`), "Promise.all" or null for top-level code
+// -> file: path or URL as printed ("file:///c:/x.mjs"), "native", "index 0", ...
+// -> line/column: numbers, undefined when the frame has no position
+// -> async: true for "at async f (...)" frames
+// -> internal: true for Node.js' own code (node:internal/..., internal/...)
+
+const FRAME_START = /^\s*at /;
+const POSITION = /^(.*):(\d+):(\d+)$/;
+
+function parseLocation(location) {
+  // "eval at func (file:1:2), <anonymous>:1:13" -> position inside the evaluated code
+  if (location.startsWith("eval at ")) {
+    location = location.slice(location.lastIndexOf(", ") + 2);
+  }
+  const match = POSITION.exec(location);
+  if (match === null) return { file: location, line: undefined, column: undefined };
+  return { file: match[1], line: Number(match[2]), column: Number(match[3]) };
+}
+
+function isInternal(file) {
+  return file.startsWith("node:") || file.startsWith("internal/");
+}
+
+export function parseFrame(text) {
+  let rest = text.replace(FRAME_START, "").trim();
+  const async = rest.startsWith("async ");
+  if (async) rest = rest.slice("async ".length);
+  if (rest.startsWith("new ")) rest = rest.slice("new ".length);
+
+  let functionName = null;
+  let location = rest;
+  const open = rest.indexOf(" (");
+  if (open !== -1 && rest.endsWith(")")) {
+    functionName = rest.slice(0, open);
+    location = rest.slice(open + 2, -1);
+  }
+  const { file, line, column } = parseLocation(location);
+  return { function: functionName, file, line, column, async, internal: isInternal(file) };
+}
+
+// { header, frames }: header is the "Name: message" part (possibly several lines)
+export function parseStack(stack) {
+  const lines = String(stack).split("\n");
+  const firstFrame = lines.findIndex((line) => FRAME_START.test(line));
+  if (firstFrame === -1) return { header: lines.join("\n"), frames: [] };
+  return {
+    header: lines.slice(0, firstFrame).join("\n"),
+    frames: lines.slice(firstFrame).filter((line) => FRAME_START.test(line)).map(parseFrame),
+  };
+}
+
+// "file:///c:/Users/x/a.mjs", "C:\Users\x\a.mjs" -> "c:/Users/x/a.mjs"
+export function normalizePath(file) {
+  let path = file;
+  if (path.startsWith("file://")) {
+    path = decodeURIComponent(path.slice("file://".length));
+  }
+  path = path.replace(/\\/g, "/");
+  // "/c:/Users" (from a Windows file URL) -> "c:/Users"
+  if (/^\/[a-zA-Z]:\//.test(path)) path = path.slice(1);
+  return path.replace(/^([A-Z]):\//, (_, drive) => `${drive.toLowerCase()}:/`);
+}
+
+// Normalises the paths of `frames` and makes them relative to `root` (a
+// directory path or file URL, e.g. new URL(".", import.meta.url)). Internal
+// frames are dropped unless `keepInternal` is true.
+export function normalizeFrames(frames, { root, keepInternal = false } = {}) {
+  let rootPath;
+  if (root !== undefined) {
+    rootPath = normalizePath(String(root));
+    if (!rootPath.endsWith("/")) rootPath += "/";
+  }
+  return frames
+    .filter((frame) => keepInternal || !frame.internal)
+    .map((frame) => {
+      if (frame.internal || frame.line === undefined) return frame;
+      let file = normalizePath(frame.file);
+      if (rootPath !== undefined && file.startsWith(rootPath)) {
+        file = file.slice(rootPath.length);
+      }
+      return { ...frame, file };
+    });
+}
+
+// Shorthand: parse and normalise in one step
+export function stackFrames(stack, options) {
+  return normalizeFrames(parseStack(stack).frames, options);
+}
@@ -0,0 +1,102 @@
+// Timing helpers for the async chapters, instead of writing
+// `new Promise((resolve) => setTimeout(resolve, ms))` every time.
+//
+// -> sleep(ms): fulfills after ms milliseconds
+// -> withTimeout(work, ms): rejects with a TimeoutError if work takes longer
+// -> createDeadline(ms): one point in time that several operations share
+// -> interval(ms): an async iterable that yields every ms milliseconds
+//
+// All of them take an optional AbortSignal (see utils/cancellation.mjs) and
+// clear their timers when they are done. They use the timers and Date.now() of
+// globalThis at the time they run, so with utils/fake_clock.mjs installed no
+// real time passes.
+import { abortable, createChildController, delay } from "./cancellation.mjs";
+
+export class TimeoutError extends Error {
+  constructor(message, ms) {
+    super(message);
+    this.name = "TimeoutError";
+    this.ms = ms;
+  }
+}
+
+// `work` is a Promise or a function that receives an AbortSignal and returns one
+function startWork(work, signal) {
+  try {
+    return typeof work === "function" ? work(signal) : work;
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+
+export function sleep(ms, { signal } = {}) {
+  return delay(ms, undefined, { signal });
+}
+
+// The function form of `work` lets the work stop: its signal is aborted with
+// the TimeoutError when time is up (and when options.signal aborts).
+export function withTimeout(work, ms, { signal, message = `Timed out after ${ms} ms` } = {}) {
+  if (signal?.aborted) return abortable(undefined, signal);
+  const { controller, dispose } = createChildController(signal);
+  const timeoutError = new TimeoutError(message, ms);
+  const timer = globalThis.setTimeout(() => controller.abort(timeoutError), ms);
+  return abortable(startWork(work, controller.signal), controller.signal).finally(() => {
+    globalThis.clearTimeout(timer);
+    dispose();
+  });
+}
+
+// A deadline `ms` milliseconds from now. Its signal aborts with a TimeoutError
+// when the deadline passes, so every operation given that signal stops at the
+// same moment, however long the ones before it took.
+//
+//   const deadline = createDeadline(1000);
+//   const user = await deadline.run((signal) => loadUser(id, { signal }));
+//   const posts = await deadline.run((signal) => loadPosts(user, { signal }));
+//   deadline.clear();
+export function createDeadline(ms, { signal, message = `Deadline of ${ms} ms exceeded` } = {}) {
+  const { controller, dispose } = createChildController(signal);
+  const at = Date.now() + ms;
+  const timer = globalThis.setTimeout(
+    () => controller.abort(new TimeoutError(message, ms)),
+    ms
+  );
+  return {
+    at,
+    signal: controller.signal,
+    get expired() {
+      return controller.signal.aborted;
+    },
+    remaining() {
+      return Math.max(0, at - Date.now());
+    },
+    // Like withTimeout(), with the time that is left
+    run(work) {
+      // Work isn't started once the deadline has passed
+      if (controller.signal.aborted) return abortable(undefined, controller.signal);
+      return abortable(startWork(work, controller.signal), controller.signal);
+    },
+    // Stops the timer, e.g. once all operations are done
+    clear() {
+      globalThis.clearTimeout(timer);
+      dispose();
+    },
+  };
+}
+
+// Yields 0, 1, 2, ... every `ms` milliseconds, measured from the start so that
+// the ticks don't drift. When the loop body takes longer than `ms`, the missed
+// ticks are skipped, not queued. Aborting options.signal ends the iteration
+// with the abort reason.
+export async function* interval(ms, { signal } = {}) {
+  const start = Date.now();
+  for (let count = 0; ; count++) {
+    let due = start + (count + 1) * ms;
+    if (due < Date.now()) {
+      // Skip to the next tick that is still ahead
+      due = start + Math.ceil((Date.now() - start) / ms) * ms;
+    }
+    await sleep(due - Date.now(), { signal });
+    yield count;
+  }
+}